@@ -1,6 +1,7 @@
 /**
  * Direct Loader - Chargement immédiat de tous les modules
- * Remplace le système de lazy loading par un chargement direct
+ * Shim de compatibilité : active la stratégie « direct » du runtime de
+ * chargement (js/module-loader.js) et initialise les composants
  */
 
 (function() {
@@ -13,14 +14,21 @@
         preloadAll: true
     };
     
+    // Passer le runtime (js/module-loader.js) en stratégie directe,
+    // ou la lui réserver s'il n'est pas encore chargé
+    function useDirectStrategy() {
+        if (window.loaderRuntime) {
+            window.loaderRuntime.use('direct');
+        } else {
+            window.LOADER_CONFIG = { ...window.LOADER_CONFIG, strategy: 'direct' };
+        }
+    }
+    
     // Initialisation immédiate de tous les modules
     function initializeAllModules() {
         // Marquer le body comme chargé immédiatement
         document.body.classList.add('loaded');
         
-        // Charger toutes les images immédiatement
-        loadAllImages();
-        
         // Initialiser tous les composants
         initializeComponents();
         
@@ -28,26 +36,11 @@
         startAnimations();
     }
     
-    // Charger toutes les images sans lazy loading
+    // Charger toutes les images sans lazy loading (la stratégie directe le fait déjà au démarrage)
     function loadAllImages() {
-        const images = document.querySelectorAll('img[data-src]');
-        images.forEach(img => {
-            if (img.dataset.src) {
-                img.src = img.dataset.src;
-                img.removeAttribute('data-src');
-                img.classList.remove('lazy-image');
-                img.classList.add('direct-image');
-            }
-        });
-        
-        // Charger les backgrounds lazy
-        const backgrounds = document.querySelectorAll('[data-bg-src]');
-        backgrounds.forEach(el => {
-            if (el.dataset.bgSrc) {
-                el.style.backgroundImage = `url(${el.dataset.bgSrc})`;
-                el.removeAttribute('data-bg-src');
-            }
-        });
+        if (window.loaderRuntime) {
+            window.loaderRuntime.strategies.get('direct').loadAllImages();
+        }
     }
     
     // Initialiser tous les composants immédiatement
@@ -98,43 +91,13 @@
         });
     }
     
-    // Désactiver tous les systèmes de lazy loading
-    function disableLazyLoading() {
-        // Désactiver Intersection Observer si présent
-        if (window.IntersectionObserver) {
-            const originalObserver = window.IntersectionObserver;
-            window.IntersectionObserver = function(callback, options) {
-                // Exécuter le callback immédiatement pour tous les éléments
-                const observer = new originalObserver(callback, options);
-                const originalObserve = observer.observe;
-                observer.observe = function(target) {
-                    // Simuler que l'élément est visible immédiatement
-                    callback([{
-                        target: target,
-                        isIntersecting: true,
-                        intersectionRatio: 1
-                    }]);
-                    return originalObserve.call(this, target);
-                };
-                return observer;
-            };
-        }
-        
-        // Désactiver les attributs loading="lazy"
-        const lazyElements = document.querySelectorAll('[loading="lazy"]');
-        lazyElements.forEach(el => {
-            el.removeAttribute('loading');
-        });
-    }
+    // Les modules et images passent par la stratégie directe du runtime :
+    // plus besoin de remplacer window.IntersectionObserver sous les autres chargeurs
+    useDirectStrategy();
     
-    // Initialisation immédiate
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', function() {
-            disableLazyLoading();
-            initializeAllModules();
-        });
+        document.addEventListener('DOMContentLoaded', initializeAllModules);
     } else {
-        disableLazyLoading();
         initializeAllModules();
     }
     
@@ -142,7 +105,7 @@
     window.DirectLoader = {
         init: initializeAllModules,
         loadAllImages: loadAllImages,
-        disableLazyLoading: disableLazyLoading,
+        disableLazyLoading: useDirectStrategy,
         config: DIRECT_LOAD_CONFIG
     };
     
@@ -1,10 +1,24 @@
 /**
  * Lazy Loading System for Matrix Flow Theme
  * Implements intersection observer for images and components
+ *
+ * @module lazy-loader
+ * @priority medium
+ * @features image-lazy-loading, intersection-observer
+ * @loadTrigger scroll
  */
 
 class LazyLoader {
     constructor(options = {}) {
+        // An explicit rootMargin opts out of network tuning
+        this.adaptiveMargin = !options.rootMargin;
+        this.networkRootMargins = {
+            conservative: '0px 0px',
+            moderate: '50px 0px',
+            aggressive: '300px 0px',
+            ...options.networkRootMargins
+        };
+
         this.options = {
             rootMargin: '50px 0px',
             threshold: 0.1,
@@ -16,6 +30,7 @@ class LazyLoader {
         };
         
         this.observer = null;
+        this.pending = new Set();
         this.init();
     }
 
@@ -26,6 +41,19 @@ class LazyLoader {
             return;
         }
 
+        this.createObserver();
+        this.observeElements();
+
+        if (this.adaptiveMargin && window.networkQuality) {
+            window.networkQuality.subscribe(strategy => {
+                if (this.networkRootMargins[strategy]) {
+                    this.setRootMargin(this.networkRootMargins[strategy]);
+                }
+            });
+        }
+    }
+
+    createObserver() {
         this.observer = new IntersectionObserver(
             this.handleIntersection.bind(this),
             {
@@ -33,21 +61,33 @@ class LazyLoader {
                 threshold: this.options.threshold
             }
         );
+    }
 
-        this.observeElements();
+    // rootMargin is fixed per observer, so swap the observer and carry over what is still pending
+    setRootMargin(rootMargin) {
+        if (!this.observer || rootMargin === this.options.rootMargin) return;
+
+        this.options.rootMargin = rootMargin;
+        this.observer.disconnect();
+        this.createObserver();
+        this.pending.forEach(element => this.observer.observe(element));
     }
 
     observeElements() {
         // Observe images with data-src attribute
         const lazyImages = document.querySelectorAll('img[data-src]');
         lazyImages.forEach(img => {
+            if (this.pending.has(img)) return;
             this.addPlaceholder(img);
+            this.pending.add(img);
             this.observer.observe(img);
         });
 
         // Observe components with data-lazy attribute
         const lazyComponents = document.querySelectorAll('[data-lazy]');
         lazyComponents.forEach(component => {
+            if (this.pending.has(component)) return;
+            this.pending.add(component);
             this.observer.observe(component);
         });
     }
@@ -63,6 +103,7 @@ class LazyLoader {
                     this.loadComponent(element);
                 }
                 
+                this.pending.delete(element);
                 this.observer.unobserve(element);
             }
         });
@@ -229,6 +270,7 @@ class LazyLoader {
         if (this.observer) {
             this.observer.disconnect();
         }
+        this.pending.clear();
     }
 }
 
@@ -1,172 +1,1260 @@
 /**
- * Dynamic Module Loader for Matrix Flow Theme
- * Implements code splitting and dynamic imports for better performance
+ * Module Loader Runtime for Matrix Flow Theme
+ * One registry and one status API for every module on the page: manifest
+ * modules, their dependencies, budgets, retries and SRI, scheduled by a
+ * pluggable loading strategy (lazy, eager or direct). NetworkQuality tunes
+ * it, and the other loaders, to the connection.
+ *
+ * ModuleLoader (below), CodeSplitter (code-splitter.js) and DirectLoader
+ * (direct-loader.js) are thin compatibility shims over window.loaderRuntime.
  */
 
-class ModuleLoader {
-    constructor() {
-        this.loadedModules = new Set();
-        this.loadingModules = new Map();
-        this.moduleCache = new Map();
+class ModuleLoadError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ModuleLoadError';
+        this.code = details.code;           // NOT_FOUND, INVALID_MODULE, BUDGET_EXCEEDED, TIMEOUT, NETWORK_ERROR, INTEGRITY_MISMATCH, RETRIES_EXHAUSTED
+        this.module = details.module;
+        this.url = details.url;
+        this.attempts = details.attempts || [];
+    }
+}
+
+// Shared network-quality service: connection hints plus throughput and RTT measured from resource timing
+class NetworkQuality {
+    constructor(options = {}) {
+        this.options = {
+            sampleSize: 20,
+            minSamples: 3,
+            minTransferSize: 10 * 1024,   // smaller responses measure latency, not bandwidth
+            minDwell: 15000,              // how long a measured change must hold before it applies
+            ...options
+        };
+        this.throughputSamples = [];
+        this.rttSamples = [];
+        this.strategy = null;
+        this.candidate = null;
+        this.recheckTimer = null;
+        this.subscribers = new Set();
+
+        // Lower rank is more careful with bandwidth
+        this.strategyRank = {
+            conservative: 0,
+            moderate: 1,
+            aggressive: 2
+        };
+
         this.init();
     }
 
     init() {
-        // Preload critical modules
-        this.preloadCriticalModules();
+        const connection = navigator.connection;
+        if (connection && connection.addEventListener) {
+            connection.addEventListener('change', () => this.update('connection change'));
+        }
+
+        if ('PerformanceObserver' in window) {
+            try {
+                const observer = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(entry => this.addSample(entry));
+                    this.update('resource timing');
+                });
+                observer.observe({ type: 'resource', buffered: true });
+            } catch (error) {
+                // Engines without buffered resource observation keep connection hints only
+            }
+        }
+
+        this.update('initial');
+    }
+
+    addSample(entry) {
+        // Cached responses and cross-origin ones without Timing-Allow-Origin report zeros
+        if (entry.transferSize > 0 && entry.requestStart > 0 && entry.responseStart > entry.requestStart) {
+            this.rttSamples.push(entry.responseStart - entry.requestStart);
+        }
+
+        const downloadTime = entry.responseEnd - entry.responseStart;
+        if (entry.transferSize >= this.options.minTransferSize && downloadTime > 0) {
+            // bits per millisecond is kbps
+            this.throughputSamples.push((entry.transferSize * 8) / downloadTime);
+        }
+
+        this.rttSamples = this.rttSamples.slice(-this.options.sampleSize);
+        this.throughputSamples = this.throughputSamples.slice(-this.options.sampleSize);
+    }
+
+    median(samples) {
+        if (samples.length < this.options.minSamples) return null;
+
+        const sorted = samples.slice().sort((a, b) => a - b);
+        return Math.round(sorted[Math.floor(sorted.length / 2)]);
+    }
+
+    getMetrics() {
+        const connection = navigator.connection || {};
+        const measuredRtt = this.median(this.rttSamples);
+
+        return {
+            effectiveType: connection.effectiveType || null,
+            saveData: Boolean(connection.saveData),
+            rtt: measuredRtt !== null ? measuredRtt : (typeof connection.rtt === 'number' ? connection.rtt : null),
+            downlink: typeof connection.downlink === 'number' ? connection.downlink : null,
+            throughput: this.median(this.throughputSamples),
+            samples: this.throughputSamples.length
+        };
+    }
+
+    // Every available signal votes and the most conservative vote wins
+    computeStrategy(metrics = this.getMetrics()) {
+        const votes = [];
+
+        if (metrics.saveData) votes.push('conservative');
+
+        if (metrics.effectiveType === 'slow-2g' || metrics.effectiveType === '2g') {
+            votes.push('conservative');
+        } else if (metrics.effectiveType === '3g') {
+            votes.push('moderate');
+        } else if (metrics.effectiveType) {
+            votes.push('aggressive');
+        }
+
+        if (metrics.rtt !== null) {
+            votes.push(metrics.rtt > 600 ? 'conservative' : metrics.rtt > 250 ? 'moderate' : 'aggressive');
+        }
+
+        if (metrics.throughput !== null) {
+            votes.push(metrics.throughput < 400 ? 'conservative' : metrics.throughput < 2000 ? 'moderate' : 'aggressive');
+        }
+
+        // No signal at all: stay in the middle
+        if (votes.length === 0) return 'moderate';
+
+        return votes.reduce((strategy, vote) => (this.strategyRank[vote] < this.strategyRank[strategy] ? vote : strategy));
+    }
+
+    update(reason) {
+        const metrics = this.getMetrics();
+        const strategy = this.computeStrategy(metrics);
+        clearTimeout(this.recheckTimer);
+
+        if (strategy === this.strategy) {
+            this.candidate = null;
+            return;
+        }
+
+        // TTFB and slow-start throughput are noisy, so a measured change has to hold for minDwell;
+        // the first reading and connection changes (Save-Data, effectiveType) apply at once
+        if (this.strategy !== null && reason === 'resource timing') {
+            const now = Date.now();
+            if (!this.candidate || this.candidate.strategy !== strategy) {
+                this.candidate = { strategy, since: now };
+            }
+
+            const remaining = this.candidate.since + this.options.minDwell - now;
+            if (remaining > 0) {
+                this.recheckTimer = setTimeout(() => this.update(reason), remaining);
+                return;
+            }
+        }
+        this.candidate = null;
+
+        const previous = this.strategy;
+        this.strategy = strategy;
+        console.log(`📶 Network strategy: ${strategy} (${reason})`, metrics);
+
+        this.subscribers.forEach(callback => callback(strategy, metrics));
+        document.dispatchEvent(new CustomEvent('network:strategy', {
+            detail: { strategy, previous, reason, metrics }
+        }));
+    }
+
+    // Calls back now and on every change; returns the unsubscribe function
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        callback(this.strategy, this.getMetrics());
+        return () => this.subscribers.delete(callback);
+    }
+
+    getStrategy() {
+        return this.strategy;
+    }
+}
+
+// Built-in loading strategies; start() returns a cleanup function for the next use()
+const LOADER_STRATEGIES = {
+    lazy: {
+        description: 'Critical modules now, the others when their element is visible, on first interaction or scroll, or at idle time',
+        start(runtime) {
+            runtime.loadCriticalModules();
+
+            let idle = false;
+            const loadIdleModules = () => {
+                runtime.getNetworkTuning().idleTriggers.forEach(trigger => runtime.loadTriggeredModules(trigger));
+            };
+
+            const cleanups = [
+                runtime.observeModuleTargets(),
+                runtime.onFirstEvent(['mousedown', 'touchstart', 'keydown'], () => runtime.loadTriggeredModules('interaction')),
+                runtime.onFirstEvent(['scroll'], () => runtime.loadTriggeredModules('scroll')),
+                runtime.whenIdle(() => {
+                    idle = true;
+                    loadIdleModules();
+                }),
+                // A faster network may allow more at idle time; nothing already loaded is undone
+                runtime.onNetworkTuning(() => {
+                    if (idle) loadIdleModules();
+                })
+            ];
+            return () => cleanups.forEach(cleanup => cleanup());
+        }
+    },
+
+    eager: {
+        description: 'Every registered module as soon as the page is parsed, critical ones first',
+        start(runtime) {
+            runtime.loadCriticalModules().then(() => runtime.loadAllModules());
+        }
+    },
+
+    direct: {
+        description: 'Eager loading plus every deferred image and background, without lazy loading',
+        start(runtime) {
+            this.loadAllImages();
+            runtime.loadCriticalModules().then(() => runtime.loadAllModules());
+        },
+
+        loadAllImages() {
+            document.querySelectorAll('img[data-src]').forEach(img => {
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+                img.classList.remove('lazy-image');
+                img.classList.add('direct-image');
+            });
+
+            document.querySelectorAll('[data-bg-src]').forEach(el => {
+                el.style.backgroundImage = `url(${el.dataset.bgSrc})`;
+                el.removeAttribute('data-bg-src');
+            });
+
+            document.querySelectorAll('[loading="lazy"]').forEach(el => {
+                el.removeAttribute('loading');
+            });
+        }
+    }
+};
+
+class LoaderRuntime {
+    constructor(options = {}) {
+        this.moduleRegistry = new Map();
+        this.loadedModules = new Set();
+        this.failedModules = new Set();
+        this.loadingPromises = new Map();
+        this.invalidModules = new Map();
+        this.graphReport = null;
+        this.manifestUrl = '/js/module-manifest.json';
+        this.integrity = new Map();
+        this.strategies = new Map(Object.entries(LOADER_STRATEGIES));
+        this.strategyName = null;
+        this.stopStrategy = null;
+        this.history = [];
+        this.historyLimit = 200;
+        this.activeLoads = 0;
+        this.loadSlotQueue = [];
+        this.maxConcurrentLoads = 2;
+        this.networkStrategy = 'moderate';
+        this.networkListeners = new Set();
+
+        // Script concurrency, data-modules margin and what idle time may load, per network strategy
+        this.networkTuning = {
+            conservative: { concurrency: 1, rootMargin: '0px 0px', idleTriggers: [] },
+            moderate: { concurrency: 2, rootMargin: '100px 0px', idleTriggers: ['idle'] },
+            aggressive: { concurrency: 4, rootMargin: '400px 0px', idleTriggers: ['idle', 'scroll', 'interaction'] },
+            ...options.networkTuning
+        };
         
-        // Set up intersection observer for lazy module loading
-        this.setupLazyLoading();
+        // Performance budgets
+        this.budgets = {
+            critical: 50 * 1024,      // 50KB for critical modules
+            high: 100 * 1024,         // 100KB for high priority
+            medium: 200 * 1024,       // 200KB for medium priority
+            low: 500 * 1024,          // 500KB for low priority
+            ...options.budgets
+        };
+
+        // What happens when a module is over budget: warn, defer (to idle time) or refuse
+        this.budgetPolicy = {
+            critical: 'warn',
+            high: 'warn',
+            medium: 'defer',
+            low: 'refuse',
+            ...options.budgetPolicy
+        };
+        this.budgetMetricsKey = 'loader-runtime-metrics';
+        this.moduleMetrics = this.loadModuleMetrics();
+        this.budgetViolations = new Map();
+        this.deferredLoads = new Map();
+
+        // Failed script loads are retried with exponential backoff, then from each fallback base URL
+        this.retryPolicy = {
+            maxAttempts: 3,           // per base URL
+            baseDelay: 500,
+            maxDelay: 8000,
+            jitter: 0.5,              // up to 50% of each delay is randomised
+            timeout: 15000,
+            fallbackBaseUrls: [],     // tried after the site origin, before per-module manifest fallbacks
+            ...options.retry
+        };
+
+        // Lower rank loads first
+        this.priorityRank = {
+            critical: 0,
+            high: 1,
+            medium: 2,
+            low: 3
+        };
         
-        // Listen for user interactions to preload modules
-        this.setupInteractionPreloading();
+        this.init(options.strategy || 'lazy');
     }
 
-    async preloadCriticalModules() {
-        const criticalModules = [
-            '/js/viewport-manager.js',
-         
-        ];
+    init(strategyName) {
+        // The registry comes from js/module-manifest.json (node tools/build-module-manifest.js)
+        this.ready = this.loadManifest()
+            .then(manifest => {
+                this.registerModules(manifest);
+                this.validateModuleGraph();
+                this.markPageScripts();
+            })
+            .catch(error => {
+                console.error('❌ Module manifest unavailable, no modules registered', error);
+            });
+
+        this.setupPerformanceObserver();
+        this.use(strategyName);
 
-        for (const module of criticalModules) {
-            await this.loadModule(module, { priority: 'high' });
+        if (window.networkQuality) {
+            window.networkQuality.subscribe(strategy => this.applyNetworkStrategy(strategy));
         }
     }
 
-    setupLazyLoading() {
-        if (!('IntersectionObserver' in window)) {
-            this.loadAllModules();
+    applyNetworkStrategy(networkStrategy) {
+        if (!this.networkTuning[networkStrategy] || networkStrategy === this.networkStrategy) return;
+
+        this.networkStrategy = networkStrategy;
+        this.maxConcurrentLoads = this.networkTuning[networkStrategy].concurrency;
+        this.record(null, 'network', { networkStrategy });
+
+        while (this.activeLoads < this.maxConcurrentLoads && this.loadSlotQueue.length > 0) {
+            this.activeLoads++;
+            this.loadSlotQueue.shift()();
+        }
+
+        // The running strategy only retunes its margins and idle triggers, it is not restarted
+        this.networkListeners.forEach(listener => listener(this.getNetworkTuning()));
+    }
+
+    getNetworkTuning() {
+        return this.networkTuning[this.networkStrategy];
+    }
+
+    // For strategies: called with the new tuning on each network strategy change; returns the cleanup
+    onNetworkTuning(listener) {
+        this.networkListeners.add(listener);
+        return () => this.networkListeners.delete(listener);
+    }
+
+    async acquireLoadSlot() {
+        if (this.activeLoads < this.maxConcurrentLoads) {
+            this.activeLoads++;
             return;
         }
+        await new Promise(resolve => this.loadSlotQueue.push(resolve));
+    }
+
+    releaseLoadSlot() {
+        const next = this.loadSlotQueue.shift();
+        if (next && this.activeLoads <= this.maxConcurrentLoads) {
+            next();
+        } else {
+            this.activeLoads--;
+            if (next) this.loadSlotQueue.unshift(next);
+        }
+    }
+
+    // A strategy is { start(runtime) } returning an optional cleanup function; only one is active at a time
+    registerStrategy(name, strategy) {
+        this.strategies.set(name, strategy);
+    }
+
+    use(strategyName) {
+        const strategy = this.strategies.get(strategyName);
+        if (!strategy) {
+            throw new Error(`Unknown loading strategy: ${strategyName}`);
+        }
+        if (strategyName === this.strategyName) return;
+
+        if (this.stopStrategy) {
+            this.stopStrategy();
+            this.stopStrategy = null;
+        }
+
+        this.strategyName = strategyName;
+        this.record(null, 'strategy', { strategy: strategyName });
+        console.log(`🧭 Loading strategy: ${strategyName}`);
+
+        this.ready.then(() => {
+            // Another use() may have run while the manifest loaded
+            if (this.strategyName !== strategyName) return;
+            this.stopStrategy = strategy.start(this) || null;
+        });
+    }
+
+    getStrategy() {
+        return this.strategyName;
+    }
+
+    record(moduleName, status, details = {}) {
+        this.history.push({
+            module: moduleName,
+            status,
+            strategy: this.strategyName,
+            timestamp: Date.now(),
+            ...details
+        });
+
+        if (this.history.length > this.historyLimit) {
+            this.history.shift();
+        }
+    }
+
+    getHistory(nameOrPath) {
+        if (!nameOrPath) return this.history.slice();
+
+        const moduleName = this.findModule(nameOrPath);
+        return this.history.filter(entry => entry.module === moduleName);
+    }
+
+    async loadManifest() {
+        const response = await fetch(this.manifestUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    registerModules(manifest) {
+        this.moduleRegistry.clear();
+        this.integrity = new Map(Object.entries(manifest.integrity || {}));
+
+        Object.entries(manifest.modules || {}).forEach(([name, config]) => {
+            this.moduleRegistry.set(name, {
+                dependencies: [],
+                features: [],
+                ...config
+            });
+        });
+
+        console.log(`📋 Registered ${this.moduleRegistry.size} modules from manifest`);
+    }
+
+    // Modules the page already includes with a <script> tag must never be inserted a second time
+    markPageScripts() {
+        document.querySelectorAll('script[src]').forEach(script => {
+            const moduleName = this.findModule(script.getAttribute('src'));
+            if (moduleName && !this.loadedModules.has(moduleName)) {
+                this.loadedModules.add(moduleName);
+                this.record(moduleName, 'loaded', { requestedBy: 'page' });
+            }
+        });
+    }
+
+    // Accepts a registry name or a script path, as used by data-modules and the ModuleLoader API
+    findModule(nameOrPath) {
+        if (this.moduleRegistry.has(nameOrPath)) return nameOrPath;
+
+        const path = this.toPath(nameOrPath);
+        for (const [name, config] of this.moduleRegistry) {
+            if (config.path === path) return name;
+        }
+        return null;
+    }
+
+    toPath(href) {
+        const url = new URL(href, window.location.href);
+        return url.origin === window.location.origin ? url.pathname : url.href;
+    }
+
+    // Scripts outside the manifest are registered on first use, keyed by their path
+    resolveModule(nameOrPath, options = {}) {
+        const moduleName = this.findModule(nameOrPath);
+        if (moduleName || !/\.js(\?|$)/.test(nameOrPath)) return moduleName;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const element = entry.target;
-                    const modules = element.dataset.modules?.split(',') || [];
-                    
-                    modules.forEach(module => {
-                        this.loadModule(module.trim(), { priority: 'low' });
+        const path = this.toPath(nameOrPath);
+        this.moduleRegistry.set(path, {
+            path,
+            priority: options.priority || 'low',
+            dependencies: [],
+            features: [],
+            integrity: this.integrity.get(path),
+            adhoc: true
+        });
+        return path;
+    }
+
+    // Dependency graph validation: missing nodes, cycles and priority inversions
+    validateModuleGraph() {
+        const errors = [];
+        const warnings = [];
+        const rank = this.priorityRank;
+        this.invalidModules.clear();
+
+        for (const [name, config] of this.moduleRegistry) {
+            for (const dependency of config.dependencies || []) {
+                const dependencyConfig = this.moduleRegistry.get(dependency);
+
+                if (!dependencyConfig) {
+                    errors.push({ type: 'missing', module: name, dependency });
+                    this.invalidModules.set(name, `missing dependency "${dependency}"`);
+                } else if (rank[dependencyConfig.priority] > rank[config.priority]) {
+                    // The dependent cannot start before its lower-priority dependency has loaded
+                    warnings.push({
+                        type: 'priority-inversion',
+                        module: name,
+                        dependency,
+                        priority: config.priority,
+                        dependencyPriority: dependencyConfig.priority
                     });
-                    
-                    observer.unobserve(element);
                 }
+            }
+        }
+
+        this.findCycles().forEach(cycle => {
+            errors.push({ type: 'cycle', module: cycle[0], cycle });
+            cycle.slice(0, -1).forEach(name => {
+                this.invalidModules.set(name, `dependency cycle ${cycle.join(' -> ')}`);
             });
-        }, {
-            rootMargin: '100px 0px',
-            threshold: 0.1
         });
 
-        // Observe elements that need lazy-loaded modules
-        document.querySelectorAll('[data-modules]').forEach(el => {
-            observer.observe(el);
+        // Anything depending on an invalid module can never load either
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const [name, config] of this.moduleRegistry) {
+                if (this.invalidModules.has(name)) continue;
+
+                const blocked = (config.dependencies || []).find(dependency => this.invalidModules.has(dependency));
+                if (blocked) {
+                    this.invalidModules.set(name, `depends on invalid module "${blocked}"`);
+                    changed = true;
+                }
+            }
+        }
+
+        errors.forEach(error => {
+            if (error.type === 'missing') {
+                console.error(`❌ Module graph: ${error.module} depends on unregistered module ${error.dependency}`);
+            } else {
+                console.error(`❌ Module graph: dependency cycle ${error.cycle.join(' -> ')}`);
+            }
+        });
+        warnings.forEach(warning => {
+            console.warn(`⚠️ Module graph: ${warning.priority} module ${warning.module} depends on ${warning.dependencyPriority} module ${warning.dependency}`);
         });
+
+        this.graphReport = {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            invalid: Object.fromEntries(this.invalidModules)
+        };
+        return this.graphReport;
     }
 
-    setupInteractionPreloading() {
-        // Preload modules on first user interaction
-        const interactionEvents = ['mousedown', 'touchstart', 'keydown'];
-        
-        const preloadOnInteraction = () => {
-            this.preloadInteractiveModules();
-            
-            // Remove listeners after first interaction
-            interactionEvents.forEach(event => {
-                document.removeEventListener(event, preloadOnInteraction, { passive: true });
-            });
+    findCycles() {
+        const cycles = [];
+        const state = new Map(); // undefined: unvisited, 1: on the current path, 2: done
+        const path = [];
+
+        const visit = (name) => {
+            state.set(name, 1);
+            path.push(name);
+
+            for (const dependency of this.moduleRegistry.get(name).dependencies || []) {
+                if (!this.moduleRegistry.has(dependency)) continue;
+
+                if (state.get(dependency) === 1) {
+                    cycles.push([...path.slice(path.indexOf(dependency)), dependency]);
+                } else if (!state.has(dependency)) {
+                    visit(dependency);
+                }
+            }
+
+            path.pop();
+            state.set(name, 2);
+        };
+
+        for (const name of this.moduleRegistry.keys()) {
+            if (!state.has(name)) visit(name);
+        }
+
+        return cycles;
+    }
+
+    // Topological load plan: each wave only depends on earlier waves, so its modules load in parallel
+    getLoadPlan(moduleNames = Array.from(this.moduleRegistry.keys())) {
+        const rank = this.priorityRank;
+        const included = new Set();
+        const skipped = [];
+
+        const include = (name) => {
+            if (included.has(name)) return;
+            if (!this.moduleRegistry.has(name) || this.invalidModules.has(name)) {
+                skipped.push({ module: name, reason: this.invalidModules.get(name) || 'not registered' });
+                return;
+            }
+
+            included.add(name);
+            this.moduleRegistry.get(name).dependencies.forEach(include);
         };
+        moduleNames.forEach(include);
+
+        const waves = [];
+        const placed = new Set();
+        while (placed.size < included.size) {
+            const wave = Array.from(included)
+                .filter(name => !placed.has(name))
+                .filter(name => this.moduleRegistry.get(name).dependencies.every(dependency => placed.has(dependency)))
+                .sort((a, b) => rank[this.moduleRegistry.get(a).priority] - rank[this.moduleRegistry.get(b).priority]);
+
+            // Cannot happen once invalid modules are excluded, but never spin
+            if (wave.length === 0) break;
 
-        interactionEvents.forEach(event => {
-            document.addEventListener(event, preloadOnInteraction, { passive: true });
+            wave.forEach(name => placed.add(name));
+            waves.push(wave);
+        }
+
+        return { waves, skipped };
+    }
+
+    async loadModules(moduleNames, options = {}) {
+        await this.ready;
+        const { waves, skipped } = this.getLoadPlan(
+            moduleNames.map(nameOrPath => this.resolveModule(nameOrPath, options) || nameOrPath)
+        );
+        skipped.forEach(({ module, reason }) => {
+            console.warn(`⚠️ Skipping module ${module}: ${reason}`);
         });
+
+        for (const wave of waves) {
+            // Dependencies of a failed module are already settled; loadModule reports the failure
+            await Promise.allSettled(
+                wave
+                    .filter(name => this.moduleRegistry.get(name).dependencies.every(dependency => this.loadedModules.has(dependency)))
+                    .map(name => this.loadModule(name, options))
+            );
+        }
+
+        return {
+            loaded: waves.flat().filter(name => this.loadedModules.has(name)),
+            failed: waves.flat().filter(name => !this.loadedModules.has(name)),
+            skipped
+        };
     }
 
-    async preloadInteractiveModules() {
-        const interactiveModules = [
-         //   '/js/newsletter.js',
-            '/js/lazy-loader.js'
-        ];
+    setupPerformanceObserver() {
+        if ('PerformanceObserver' in window) {
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(entry => {
+                    if (entry.entryType === 'resource' && entry.name.includes('.js')) {
+                        this.trackModulePerformance(entry);
+                    }
+                });
+            });
 
-        for (const module of interactiveModules) {
-            await this.loadModule(module, { priority: 'medium' });
+            observer.observe({ entryTypes: ['resource'] });
         }
     }
 
-    async loadModule(src, options = {}) {
-        const { priority = 'low', timeout = 10000 } = options;
-        
-        // Return cached module if already loaded
-        if (this.loadedModules.has(src)) {
-            return this.moduleCache.get(src);
+    trackModulePerformance(entry) {
+        const moduleName = this.getModuleNameFromPath(entry.name);
+        if (moduleName) {
+            const performance = {
+                loadTime: entry.responseEnd - entry.startTime,
+                transferSize: entry.transferSize,
+                encodedBodySize: entry.encodedBodySize,
+                decodedBodySize: entry.decodedBodySize,
+                cached: entry.transferSize === 0,
+                timestamp: Date.now()
+            };
+
+            console.log(`📊 Module Performance - ${moduleName}:`, performance);
+
+            // Cross-origin entries without Timing-Allow-Origin report zero sizes
+            if (entry.decodedBodySize > 0) {
+                this.recordModuleMetrics(moduleName, performance);
+            }
+        }
+    }
+
+    // Measured sizes survive navigations so the next page can enforce budgets before loading
+    loadModuleMetrics() {
+        try {
+            return new Map(Object.entries(JSON.parse(sessionStorage.getItem(this.budgetMetricsKey)) || {}));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    recordModuleMetrics(moduleName, performance) {
+        const previous = this.moduleMetrics.get(moduleName);
+        this.moduleMetrics.set(moduleName, {
+            // A cached hit transfers nothing; keep the last real network cost
+            transferSize: performance.cached && previous ? previous.transferSize : performance.transferSize,
+            encodedBodySize: performance.encodedBodySize,
+            decodedBodySize: performance.decodedBodySize,
+            loadTime: performance.loadTime,
+            timestamp: performance.timestamp
+        });
+
+        try {
+            sessionStorage.setItem(this.budgetMetricsKey, JSON.stringify(Object.fromEntries(this.moduleMetrics)));
+        } catch (error) {
+            // Storage full or disabled: budgets fall back to manifest sizes
+        }
+
+        const config = this.moduleRegistry.get(moduleName);
+        const budget = this.checkPerformanceBudget(moduleName, config);
+        if (!budget.withinBudget && !this.budgetViolations.has(moduleName)) {
+            // Already on the page, so the policy only applies from the next load on
+            this.reportBudgetViolation(moduleName, config, budget, 'warn');
+        }
+    }
+
+    getModuleNameFromPath(path) {
+        for (const [name, config] of this.moduleRegistry) {
+            if (path.includes(config.path)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    async loadCriticalModules() {
+        const criticalModules = Array.from(this.moduleRegistry.entries())
+            .filter(([_, config]) => config.priority === 'critical')
+            .map(([name]) => name);
+
+        console.log('🚀 Loading critical modules:', criticalModules);
+
+        return this.loadModules(criticalModules, { requestedBy: this.strategyName });
+    }
+
+    async loadModule(nameOrPath, options = {}) {
+        await this.ready;
+        const moduleName = this.resolveModule(nameOrPath, options);
+        const config = this.moduleRegistry.get(moduleName);
+        if (!config) {
+            throw new ModuleLoadError(`Module not found: ${nameOrPath}`, { code: 'NOT_FOUND', module: nameOrPath });
+        }
+
+        // Missing dependencies or cycles would otherwise fail deep in the recursion, or never settle
+        if (this.invalidModules.has(moduleName)) {
+            throw new ModuleLoadError(`Invalid module ${moduleName}: ${this.invalidModules.get(moduleName)}`, {
+                code: 'INVALID_MODULE',
+                module: moduleName
+            });
+        }
+
+        // Return existing promise if module is already loading
+        if (this.loadingPromises.has(moduleName)) {
+            return this.loadingPromises.get(moduleName);
+        }
+
+        // Return immediately if already loaded
+        if (this.loadedModules.has(moduleName)) {
+            return Promise.resolve();
+        }
+
+        const requestedBy = options.requestedBy || 'api';
+
+        if (!options.budgetDeferred) {
+            if (this.deferredLoads.has(moduleName)) {
+                return this.deferredLoads.get(moduleName);
+            }
+
+            const budget = this.checkPerformanceBudget(moduleName, config);
+            if (!budget.withinBudget) {
+                const action = this.budgetPolicy[config.priority] || 'warn';
+                this.reportBudgetViolation(moduleName, config, budget, action);
+
+                if (action === 'refuse') {
+                    this.record(moduleName, 'refused', { requestedBy });
+                    throw new ModuleLoadError(`Module ${moduleName} refused: ${budget.size} bytes exceeds the ${config.priority} budget of ${budget.budget} bytes`, {
+                        code: 'BUDGET_EXCEEDED',
+                        module: moduleName,
+                        url: config.path
+                    });
+                }
+                if (action === 'defer') {
+                    this.record(moduleName, 'deferred', { requestedBy });
+                    return this.deferModuleLoad(moduleName, options);
+                }
+            }
+        }
+
+        // Check if module failed before
+        if (this.failedModules.has(moduleName)) {
+            console.warn(`⚠️ Module ${moduleName} previously failed, retrying...`);
         }
 
-        // Return existing promise if module is currently loading
-        if (this.loadingModules.has(src)) {
-            return this.loadingModules.get(src);
+        // Load dependencies first
+        if (config.dependencies.length > 0) {
+            await Promise.all(
+                config.dependencies.map(dep => this.loadModule(dep, { requestedBy: `dependency of ${moduleName}` }))
+            );
         }
 
         // Create loading promise
-        const loadingPromise = this.createLoadingPromise(src, priority, timeout);
-        this.loadingModules.set(src, loadingPromise);
+        const loadingPromise = this.createModuleLoadingPromise(moduleName, config, options);
+        this.loadingPromises.set(moduleName, loadingPromise);
+        this.record(moduleName, 'loading', { requestedBy });
 
         try {
-            const result = await loadingPromise;
-            this.loadedModules.add(src);
-            this.moduleCache.set(src, result);
-            this.loadingModules.delete(src);
-            return result;
+            const url = await loadingPromise;
+            this.loadedModules.add(moduleName);
+            this.failedModules.delete(moduleName);
+            this.loadingPromises.delete(moduleName);
+            this.record(moduleName, 'loaded', { requestedBy, url });
+            console.log(`✅ Module loaded: ${moduleName} (requested by ${requestedBy})`);
         } catch (error) {
-            this.loadingModules.delete(src);
-            console.warn(`Failed to load module: ${src}`, error);
+            this.failedModules.add(moduleName);
+            this.loadingPromises.delete(moduleName);
+            this.record(moduleName, 'failed', { requestedBy, code: error.code });
+            console.error(`❌ Module failed to load: ${moduleName}`, error);
+            this.dispatchLoaderEvent('error', { module: moduleName, requestedBy, error });
             throw error;
         }
     }
 
-    createLoadingPromise(src, priority, timeout) {
+    getModuleUrls(config) {
+        const baseUrls = ['', ...this.retryPolicy.fallbackBaseUrls, ...(config.fallbackBaseUrls || [])];
+        return [...new Set(baseUrls.map(baseUrl => `${baseUrl.replace(/\/$/, '')}${config.path}`))];
+    }
+
+    getRetryDelay(retry) {
+        const { baseDelay, maxDelay, jitter } = this.retryPolicy;
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (retry - 1));
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+
+    async createModuleLoadingPromise(moduleName, config, options) {
+        const attempts = [];
+
+        for (const url of this.getModuleUrls(config)) {
+            if (attempts.length > 0) {
+                console.warn(`🔀 Falling back to ${url} for module ${moduleName}`);
+                this.dispatchLoaderEvent('fallback', { module: moduleName, url, attempt: attempts.length + 1 });
+            }
+
+            for (let attempt = 1; attempt <= this.retryPolicy.maxAttempts; attempt++) {
+                // A fallback origin is tried straight away, backoff only applies to the same URL
+                if (attempt > 1) {
+                    const delay = this.getRetryDelay(attempt - 1);
+                    console.warn(`🔁 Retrying module ${moduleName} in ${delay}ms (attempt ${attempts.length + 1})`);
+                    this.dispatchLoaderEvent('retry', { module: moduleName, url, attempt: attempts.length + 1, delay });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+
+                await this.acquireLoadSlot();
+                try {
+                    await this.injectModuleScript(moduleName, url, config, options);
+                    return url;
+                } catch (error) {
+                    // Tampered or stale content: no retry or mirror may run it
+                    if (error.code === 'INTEGRITY_MISMATCH') {
+                        throw error;
+                    }
+                    attempts.push({ url, code: error.code, message: error.message });
+                } finally {
+                    this.releaseLoadSlot();
+                }
+            }
+        }
+
+        throw new ModuleLoadError(`Failed to load module ${moduleName} after ${attempts.length} attempts`, {
+            code: 'RETRIES_EXHAUSTED',
+            module: moduleName,
+            url: config.path,
+            attempts
+        });
+    }
+
+    injectModuleScript(moduleName, url, config, options) {
+        const integrity = options.integrity || config.integrity;
+
         return new Promise((resolve, reject) => {
+            // Create script element
             const script = document.createElement('script');
-            script.src = src;
+            script.src = url;
             script.async = true;
-            
-            // Set loading priority
+
+            // Set loading priority if supported
             if ('importance' in script) {
-                script.importance = priority;
+                script.importance = this.mapPriorityToImportance(config.priority);
+            }
+
+            // Integrity comes from the generated manifest unless the caller pins another hash
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            } else if (!config.adhoc) {
+                console.warn(`⚠️ Module ${moduleName} has no integrity hash, loading without SRI`);
             }
-            
-            // Set timeout
-            const timeoutId = setTimeout(() => {
-                reject(new Error(`Module loading timeout: ${src}`));
-            }, timeout);
 
-            script.onload = () => {
+            // Set up event handlers
+            const cleanup = () => {
                 clearTimeout(timeoutId);
-                resolve(script);
+                script.removeEventListener('load', onLoad);
+                script.removeEventListener('error', onError);
+                if (script.parentNode) {
+                    script.parentNode.removeChild(script);
+                }
             };
 
-            script.onerror = () => {
-                clearTimeout(timeoutId);
-                reject(new Error(`Failed to load module: ${src}`));
+            const onLoad = () => {
+                cleanup();
+                resolve();
             };
 
+            const onError = async () => {
+                cleanup();
+
+                const mismatch = await this.detectIntegrityMismatch(url, integrity);
+                if (mismatch) {
+                    console.error(`🚨 Integrity mismatch for module ${moduleName} (${url})`, mismatch);
+                    this.dispatchLoaderEvent('integrity', { module: moduleName, url, ...mismatch });
+                    reject(new ModuleLoadError(`Integrity mismatch for module: ${moduleName}`, { code: 'INTEGRITY_MISMATCH', module: moduleName, url }));
+                    return;
+                }
+
+                reject(new ModuleLoadError(`Failed to load module: ${moduleName}`, { code: 'NETWORK_ERROR', module: moduleName, url }));
+            };
+
+            const timeoutId = setTimeout(() => {
+                cleanup();
+                reject(new ModuleLoadError(`Module loading timeout: ${moduleName}`, { code: 'TIMEOUT', module: moduleName, url }));
+            }, options.timeout || this.retryPolicy.timeout);
+
+            script.addEventListener('load', onLoad);
+            script.addEventListener('error', onError);
+
             // Add to document
             document.head.appendChild(script);
         });
     }
 
-    async loadAllModules() {
-        // Fallback for browsers without intersection observer
-        const allModules = [
-            '/js/newsletter.js',
-            '/js/lazy-loader.js'
-        ];
+    // Prefers the size the browser actually decoded over the manifest's build-time size
+    checkPerformanceBudget(moduleName, config) {
+        const budget = this.budgets[config.priority];
+        const metrics = this.moduleMetrics.get(moduleName);
+        const size = metrics ? metrics.decodedBodySize : config.size;
 
-        for (const module of allModules) {
-            try {
-                await this.loadModule(module);
-            } catch (error) {
-                console.warn(`Failed to load module in fallback mode: ${module}`, error);
+        return {
+            withinBudget: !budget || !size || size <= budget,
+            size,
+            budget,
+            source: metrics ? 'measured' : 'manifest'
+        };
+    }
+
+    reportBudgetViolation(moduleName, config, budget, action) {
+        this.budgetViolations.set(moduleName, {
+            priority: config.priority,
+            size: budget.size,
+            budget: budget.budget,
+            source: budget.source,
+            action,
+            timestamp: Date.now()
+        });
+
+        const overBy = Math.round((budget.size - budget.budget) / 1024);
+        console.warn(`⚠️ Module ${moduleName} exceeds the ${config.priority} budget by ${overBy}KB (${budget.source}), policy: ${action}`);
+    }
+
+    deferModuleLoad(moduleName, options) {
+        const deferred = new Promise((resolve, reject) => {
+            const load = () => {
+                this.loadModule(moduleName, { ...options, budgetDeferred: true })
+                    .then(resolve, reject)
+                    .finally(() => this.deferredLoads.delete(moduleName));
+            };
+
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(load, { timeout: 10000 });
+            } else {
+                setTimeout(load, 2000);
             }
+        });
+
+        this.deferredLoads.set(moduleName, deferred);
+        console.log(`😴 Deferring over-budget module to idle time: ${moduleName}`);
+        return deferred;
+    }
+
+    getBudgetReport() {
+        const modules = {};
+
+        for (const [name, config] of this.moduleRegistry) {
+            const metrics = this.moduleMetrics.get(name) || {};
+            const budget = this.checkPerformanceBudget(name, config);
+            const violation = this.budgetViolations.get(name);
+
+            modules[name] = {
+                priority: config.priority,
+                budget: budget.budget,
+                declaredSize: config.size,
+                transferSize: metrics.transferSize,
+                decodedBodySize: metrics.decodedBodySize,
+                withinBudget: budget.withinBudget,
+                action: violation ? violation.action : null
+            };
+        }
+
+        return {
+            budgets: { ...this.budgets },
+            policy: { ...this.budgetPolicy },
+            modules,
+            violations: Object.fromEntries(this.budgetViolations)
+        };
+    }
+
+    // The browser reports a blocked SRI load as a plain error: refetch and hash to tell them apart
+    async detectIntegrityMismatch(url, integrity) {
+        if (!integrity || !(window.crypto && window.crypto.subtle)) return null;
+
+        try {
+            const response = await fetch(url, { mode: 'cors', credentials: 'omit', cache: 'force-cache' });
+            if (!response.ok) return null;
+
+            const [, algorithm, expected] = integrity.match(/^(sha256|sha384|sha512)-(.+)$/) || [];
+            if (!algorithm) return null;
+
+            const digest = await window.crypto.subtle.digest(algorithm.replace('sha', 'SHA-'), await response.arrayBuffer());
+            const actual = btoa(String.fromCharCode(...new Uint8Array(digest)));
+            return actual === expected ? null : { expected: integrity, actual: `${algorithm}-${actual}` };
+        } catch (error) {
+            // Unreachable or blocked by CORS: treat as a network failure
+            return null;
+        }
+    }
+
+    dispatchLoaderEvent(eventName, detail) {
+        document.dispatchEvent(new CustomEvent(`module:${eventName}`, {
+            detail: { loader: 'loader-runtime', strategy: this.strategyName, ...detail }
+        }));
+    }
+
+    mapPriorityToImportance(priority) {
+        const mapping = {
+            critical: 'high',
+            high: 'high',
+            medium: 'auto',
+            low: 'low'
+        };
+        return mapping[priority] || 'auto';
+    }
+
+    // Dynamic import with code splitting
+    async importModule(nameOrPath) {
+        await this.ready;
+        const moduleName = this.resolveModule(nameOrPath);
+        const config = this.moduleRegistry.get(moduleName);
+        if (!config) {
+            throw new ModuleLoadError(`Module not found: ${nameOrPath}`, { code: 'NOT_FOUND', module: nameOrPath });
+        }
+
+        // import() cannot carry an integrity hash, so hashed modules always go through a checked <script>
+        if (config.integrity) {
+            return this.loadModule(moduleName);
+        }
+
+        try {
+            // Use dynamic import for better code splitting
+            const module = await import(config.path);
+            console.log(`📦 Dynamic import successful: ${moduleName}`);
+            return module;
+        } catch (error) {
+            console.error(`❌ Dynamic import failed: ${moduleName}`, error);
+            // Fallback to script loading
+            await this.loadModule(moduleName);
+        }
+    }
+
+    // Strategy helpers: each returns a function that undoes it
+
+    onFirstEvent(eventNames, callback) {
+        const handler = () => {
+            cleanup();
+            callback();
+        };
+        const cleanup = () => {
+            eventNames.forEach(eventName => {
+                window.removeEventListener(eventName, handler, { passive: true });
+            });
+        };
+
+        eventNames.forEach(eventName => {
+            window.addEventListener(eventName, handler, { passive: true });
+        });
+        return cleanup;
+    }
+
+    whenIdle(callback) {
+        if ('requestIdleCallback' in window) {
+            const handle = requestIdleCallback(callback);
+            return () => cancelIdleCallback(handle);
+        }
+
+        // Fallback for browsers without requestIdleCallback
+        const handle = setTimeout(callback, 2000);
+        return () => clearTimeout(handle);
+    }
+
+    // Elements list the modules they need in data-modules, by name or path
+    observeModuleTargets() {
+        const targets = document.querySelectorAll('[data-modules]');
+        const loadTarget = (element) => {
+            const modules = element.dataset.modules.split(',').map(module => module.trim()).filter(Boolean);
+            this.loadModules(modules, { requestedBy: `${this.strategyName}: data-modules` });
+        };
+
+        if (!('IntersectionObserver' in window)) {
+            // Fallback for browsers without intersection observer
+            targets.forEach(loadTarget);
+            return () => {};
+        }
+
+        // rootMargin is fixed per observer: a network change swaps it and keeps the targets not reached yet
+        const pending = new Set(targets);
+        let observer = null;
+        const observe = () => {
+            if (observer) observer.disconnect();
+
+            observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        loadTarget(entry.target);
+                        pending.delete(entry.target);
+                        observer.unobserve(entry.target);
+                    }
+                });
+            }, {
+                rootMargin: this.getNetworkTuning().rootMargin,
+                threshold: 0.1
+            });
+
+            pending.forEach(el => observer.observe(el));
+        };
+
+        observe();
+        const stopTuning = this.onNetworkTuning(observe);
+        return () => {
+            stopTuning();
+            observer.disconnect();
+        };
+    }
+
+    async loadTriggeredModules(loadTrigger) {
+        const modules = Array.from(this.moduleRegistry.entries())
+            .filter(([_, config]) => config.loadTrigger === loadTrigger)
+            .map(([name]) => name);
+
+        console.log(`🎯 Loading ${loadTrigger} modules:`, modules);
+
+        return this.loadModules(modules, { requestedBy: `${this.strategyName}: ${loadTrigger}` });
+    }
+
+    preloadModule(nameOrPath) {
+        const moduleName = this.resolveModule(nameOrPath);
+        const config = this.moduleRegistry.get(moduleName);
+        if (!config || this.loadedModules.has(moduleName)) return;
+
+        // Use link preload for better browser optimization
+        const link = document.createElement('link');
+        link.rel = 'modulepreload';
+        link.href = config.path;
+
+        if (config.integrity) {
+            link.integrity = config.integrity;
+            link.crossOrigin = 'anonymous';
+        }
+        
+        if (config.priority === 'critical' || config.priority === 'high') {
+            link.importance = 'high';
         }
+
+        document.head.appendChild(link);
+        console.log(`🔗 Preloading module: ${moduleName}`);
+    }
+
+    async loadAllModules() {
+        // Fallback method to load all modules
+        const allModules = Array.from(this.moduleRegistry.keys())
+            .filter(moduleName => !this.loadedModules.has(moduleName));
+
+        const result = await this.loadModules(allModules, { requestedBy: this.strategyName });
+        result.failed.forEach(moduleName => {
+            console.warn(`Failed to load module in fallback mode: ${moduleName}`);
+        });
+        return result;
+    }
+
+    // Public API
+    getLoadedModules() {
+        return Array.from(this.loadedModules);
+    }
+
+    getModuleStatus(nameOrPath) {
+        const moduleName = this.findModule(nameOrPath);
+        if (!moduleName) return 'not-loaded';
+        if (this.invalidModules.has(moduleName)) return 'invalid';
+        if (this.loadedModules.has(moduleName)) return 'loaded';
+        if (this.loadingPromises.has(moduleName)) return 'loading';
+        if (this.deferredLoads.has(moduleName)) return 'deferred';
+        if (this.failedModules.has(moduleName)) return 'failed';
+        if (this.budgetViolations.get(moduleName)?.action === 'refuse') return 'refused';
+        return 'not-loaded';
+    }
+
+    getPerformanceReport() {
+        return {
+            loaded: this.loadedModules.size,
+            failed: this.failedModules.size,
+            loading: this.loadingPromises.size,
+            invalid: this.invalidModules.size,
+            deferred: this.deferredLoads.size,
+            total: this.moduleRegistry.size,
+            graph: this.graphReport,
+            budget: this.getBudgetReport(),
+            strategy: this.strategyName,
+            network: this.networkStrategy,
+            concurrency: { active: this.activeLoads, queued: this.loadSlotQueue.length, max: this.maxConcurrentLoads }
+        };
+    }
+}
+
+// Compatibility shim: the original path-based API, backed by the runtime registry
+class ModuleLoader {
+    constructor(runtime) {
+        this.runtime = runtime;
+    }
+
+    async loadModule(src, options = {}) {
+        return this.runtime.loadModule(src, { requestedBy: 'module-loader', ...options });
+    }
+
+    async loadAllModules() {
+        return this.runtime.loadAllModules();
     }
 
     // Public API methods
@@ -180,24 +1268,26 @@ class ModuleLoader {
 
     // Preload a module without executing it
     preloadModule(src) {
-        const link = document.createElement('link');
-        link.rel = 'modulepreload';
-        link.href = src;
-        document.head.appendChild(link);
+        this.runtime.ready.then(() => this.runtime.preloadModule(src));
     }
 
     // Get loading status
     getModuleStatus(src) {
-        if (this.loadedModules.has(src)) return 'loaded';
-        if (this.loadingModules.has(src)) return 'loading';
-        return 'not-loaded';
+        return this.runtime.getModuleStatus(src);
     }
 }
 
-// Initialize module loader
-window.moduleLoader = new ModuleLoader();
+// Initialize the runtime; LOADER_CONFIG wins over the settings of the loaders it replaces
+window.ModuleLoadError = ModuleLoadError;
+window.networkQuality = new NetworkQuality();
+window.loaderRuntime = new LoaderRuntime({
+    ...window.MODULE_LOADER_CONFIG,
+    ...window.CODE_SPLITTER_CONFIG,
+    ...window.LOADER_CONFIG
+});
+window.moduleLoader = new ModuleLoader(window.loaderRuntime);
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ModuleLoader;
+    module.exports = { LoaderRuntime, ModuleLoader, ModuleLoadError, NetworkQuality };
 }
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Anti-bot screening
+ * Layers a honeypot field, a minimum time-to-fill, a SHA-256 proof of work bound to the
+ * submitted address and a per-browser rate limit kept in localStorage across reloads.
+ * Proofs read "difficulty:challenge:nonce"; SHA-256("challenge:email:nonce") must start
+ * with `difficulty` zero bits.
+ *
+ * @module newsletter-antibot
+ * @priority high
+ * @features spam-protection, proof-of-work
+ */
+class NewsletterAntiBot {
+  constructor(options = {}) {
+    this.honeypotName = options.honeypotName || 'website';
+    this.minFillTime = options.minFillTime ?? 3000;
+    this.difficulty = options.difficulty ?? 16;
+    this.solveTimeout = options.solveTimeout || 30000;
+    this.storageKey = options.storageKey || 'newsletter-rate-limit';
+    this.cooldown = options.cooldown ?? 5000;
+    this.maxSubmissions = options.maxSubmissions ?? 5;
+    this.rateWindow = options.rateWindow ?? 60 * 60 * 1000;
+    this.startedAt = Date.now();
+  }
+  
+  // Honeypot: off-screen rather than display:none, which some bots skip
+  attach(form) {
+    this.startedAt = Date.now();
+    if (form.querySelector(`input[name="${this.honeypotName}"]`)) return;
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'newsletter-hp';
+    wrapper.setAttribute('aria-hidden', 'true');
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = this.honeypotName;
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+    
+    wrapper.appendChild(input);
+    form.appendChild(wrapper);
+  }
+  
+  screen(form, now = Date.now()) {
+    const honeypot = form.querySelector(`input[name="${this.honeypotName}"]`);
+    if (honeypot?.value) {
+      return { passed: false, reason: 'honeypot' };
+    }
+    
+    const fillTime = now - this.startedAt;
+    if (fillTime < this.minFillTime) {
+      return { passed: false, reason: 'too_fast', fillTime };
+    }
+    
+    return { passed: true, fillTime };
+  }
+  
+  // Persistent rate limit; only successful sends count, so transient failures never lock anyone out
+  loadAttempts() {
+    try {
+      const attempts = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(attempts) ? attempts : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  checkRateLimit(now = Date.now()) {
+    const attempts = this.loadAttempts().filter(time => now - time < this.rateWindow);
+    const last = attempts[attempts.length - 1] || 0;
+    
+    if (now - last < this.cooldown) {
+      return { allowed: false, reason: 'cooldown', retryAfter: this.cooldown - (now - last) };
+    }
+    
+    if (attempts.length >= this.maxSubmissions) {
+      return { allowed: false, reason: 'limit', retryAfter: this.rateWindow - (now - attempts[0]) };
+    }
+    
+    return { allowed: true };
+  }
+  
+  recordAttempt(now = Date.now()) {
+    const attempts = this.loadAttempts().filter(time => now - time < this.rateWindow);
+    attempts.push(now);
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(attempts));
+    } catch (error) {
+      console.warn('Failed to persist newsletter rate limit:', error);
+    }
+  }
+  
+  // Proof of work
+  async solve(email) {
+    if (!this.difficulty) return null;
+    if (!window.crypto?.subtle) {
+      throw new Error('CHALLENGE_FAILED');
+    }
+    
+    const challenge = NewsletterAntiBot.createChallenge();
+    const prefix = `${challenge}:${String(email).trim().toLowerCase()}:`;
+    // Far above the 2^difficulty expected attempts, so only a broken runtime hits it
+    const maxIterations = 2 ** (this.difficulty + 6);
+    
+    const nonce = window.Worker && window.Blob && window.URL?.createObjectURL
+      ? await this.solveInWorker(prefix, maxIterations)
+      : await NewsletterAntiBot.searchNonce(prefix, this.difficulty, maxIterations);
+    
+    if (nonce < 0) {
+      throw new Error('CHALLENGE_FAILED');
+    }
+    
+    return `${this.difficulty}:${challenge}:${nonce}`;
+  }
+  
+  solveInWorker(prefix, maxIterations) {
+    // The search method is serialised as an object-literal method for the worker scope
+    const source = `const solver = { ${NewsletterAntiBot.searchNonce.toString()} };
+self.onmessage = async (event) => {
+  const { prefix, difficulty, maxIterations } = event.data;
+  self.postMessage(await solver.searchNonce(prefix, difficulty, maxIterations));
+};`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(url);
+      const finish = (callback) => {
+        clearTimeout(timer);
+        worker.terminate();
+        URL.revokeObjectURL(url);
+        callback();
+      };
+      
+      const timer = setTimeout(() => finish(() => reject(new Error('CHALLENGE_TIMEOUT'))), this.solveTimeout);
+      worker.onmessage = (event) => finish(() => resolve(event.data));
+      worker.onerror = () => finish(() => reject(new Error('CHALLENGE_FAILED')));
+      worker.postMessage({ prefix, difficulty: this.difficulty, maxIterations });
+    });
+  }
+  
+  // Self-contained: it also runs inside the worker
+  static async searchNonce(prefix, difficulty, maxIterations) {
+    const encoder = new TextEncoder();
+    
+    for (let nonce = 0; nonce < maxIterations; nonce++) {
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${prefix}${nonce}`)));
+      
+      let bits = 0;
+      for (const byte of digest) {
+        bits += byte === 0 ? 8 : Math.clz32(byte) - 24;
+        if (byte !== 0) break;
+      }
+      
+      if (bits >= difficulty) return nonce;
+    }
+    
+    return -1;
+  }
+  
+  static createChallenge() {
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${Date.now().toString(36)}-${random}`;
+  }
+}
+
+// Export for external use
+window.NewsletterAntiBot = NewsletterAntiBot;
@@ -0,0 +1,264 @@
+/**
+ * Newsletter archive
+ * Builds sample issues from atom.xml so visitors can see what they would receive. Entries are
+ * mapped to the form topics through their <category> terms (js/newsletter-topics.json) and
+ * bucketed into weekly (ISO weeks, UTC) or monthly issues. The same file holds the topic
+ * labels, handed to `onTopics` once loaded.
+ *
+ * @module newsletter-archive
+ * @priority high
+ * @features archive, topic-filter
+ */
+class NewsletterArchive {
+  constructor(options = {}) {
+    this.feedUrl = options.feedUrl || '/atom.xml';
+    this.topicsUrl = options.topicsUrl || '/js/newsletter-topics.json';
+    this.translate = options.translate || ((key) => key);
+    this.onTopics = options.onTopics || null;
+    this.locale = options.locale || 'fr';
+    this.entries = [];
+    this.termTopics = new Map();
+    this.view = { frequency: 'weekly', topics: [], index: 0 };
+    this.loadPromise = null;
+    this.topicsPromise = null;
+  }
+  
+  // Form frequency values; "Major updates only" has no schedule and is previewed monthly
+  static get FREQUENCIES() {
+    return {
+      'Weekly': 'weekly',
+      'Monthly': 'monthly',
+      'Major updates only': 'monthly'
+    };
+  }
+  
+  static async fetchResource(url, type) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return type === 'json' ? response.json() : response.text();
+  }
+  
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+    
+    this.loadPromise = Promise.all([
+      NewsletterArchive.fetchResource(this.feedUrl, 'text'),
+      this.loadTopics()
+    ]).then(([feed]) => {
+      this.entries = NewsletterArchive.parseFeed(feed);
+      return this.entries;
+    }).catch(error => {
+      this.loadPromise = null;
+      throw error;
+    });
+    
+    return this.loadPromise;
+  }
+  
+  loadTopics() {
+    if (this.topicsPromise) return this.topicsPromise;
+    
+    this.topicsPromise = NewsletterArchive.fetchResource(this.topicsUrl, 'json').then(topics => {
+      this.setTopicMap(topics);
+      if (this.onTopics) {
+        this.onTopics(topics);
+      }
+      return topics;
+    }).catch(error => {
+      this.topicsPromise = null;
+      throw error;
+    });
+    
+    return this.topicsPromise;
+  }
+  
+  setTopicMap(topics) {
+    this.termTopics.clear();
+    Object.entries(topics || {}).forEach(([topic, { terms = [] }]) => {
+      terms.forEach(term => {
+        const key = NewsletterArchive.normalizeTerm(term);
+        if (!this.termTopics.has(key)) {
+          this.termTopics.set(key, new Set());
+        }
+        this.termTopics.get(key).add(topic);
+      });
+    });
+  }
+  
+  static normalizeTerm(term) {
+    return String(term).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  }
+  
+  static parseFeed(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('FEED_INVALID');
+    }
+    
+    const text = (parent, tag) => parent.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+    
+    return Array.from(doc.getElementsByTagName('entry')).map(entry => {
+      const links = Array.from(entry.getElementsByTagName('link'));
+      const link = links.find(l => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate');
+      
+      // Summaries are escaped HTML; keep their text only
+      const summaryHtml = text(entry, 'summary') || text(entry, 'content');
+      const summary = new DOMParser().parseFromString(summaryHtml, 'text/html').body.textContent.trim();
+      
+      return {
+        id: text(entry, 'id'),
+        title: text(entry, 'title'),
+        link: link?.getAttribute('href') || text(entry, 'id'),
+        published: new Date(text(entry, 'published') || text(entry, 'updated')),
+        summary: summary.length > 160 ? `${summary.slice(0, 157).trimEnd()}...` : summary,
+        terms: Array.from(entry.getElementsByTagName('category')).map(c => c.getAttribute('term')).filter(Boolean)
+      };
+    })
+      .filter(entry => !Number.isNaN(entry.published.getTime()))
+      .sort((a, b) => b.published - a.published);
+  }
+  
+  topicsFor(entry) {
+    const topics = new Set();
+    entry.terms.forEach(term => {
+      (this.termTopics.get(NewsletterArchive.normalizeTerm(term)) || []).forEach(topic => topics.add(topic));
+    });
+    return Array.from(topics);
+  }
+  
+  static issueStart(date, frequency) {
+    if (frequency === 'monthly') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  
+  // Issues newest first; with topics given, only entries matching one of them are kept
+  getIssues(frequency = 'weekly', topics = []) {
+    const issues = new Map();
+    
+    this.entries.forEach(entry => {
+      const entryTopics = this.topicsFor(entry);
+      if (topics.length > 0 && !entryTopics.some(topic => topics.includes(topic))) return;
+      
+      const start = NewsletterArchive.issueStart(entry.published, frequency);
+      const key = start.toISOString().slice(0, 10);
+      if (!issues.has(key)) {
+        issues.set(key, { key, frequency, start, entries: [] });
+      }
+      issues.get(key).entries.push({ ...entry, topics: entryTopics });
+    });
+    
+    return Array.from(issues.values()).sort((a, b) => b.start - a.start);
+  }
+  
+  render(container, view = {}) {
+    this.view = { ...this.view, ...view };
+    const frequency = NewsletterArchive.FREQUENCIES[this.view.frequency] || this.view.frequency || 'weekly';
+    const issues = this.getIssues(frequency, this.view.topics);
+    const index = Math.max(0, Math.min(this.view.index, issues.length - 1));
+    const issue = issues[index];
+    this.view.index = index;
+    
+    container.replaceChildren();
+    
+    if (!issue) {
+      const empty = document.createElement('p');
+      empty.className = 'archive-empty';
+      empty.textContent = this.translate('archive.empty');
+      container.appendChild(empty);
+      return null;
+    }
+    
+    // Header with issue navigation (index 0 is the latest issue)
+    const header = document.createElement('div');
+    header.className = 'archive-header';
+    
+    const navButton = (className, key, target) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = this.translate(key);
+      button.disabled = target < 0 || target >= issues.length;
+      button.addEventListener('click', () => this.render(container, { index: target }));
+      return button;
+    };
+    
+    const title = document.createElement('p');
+    title.className = 'archive-title';
+    title.textContent = frequency === 'monthly'
+      ? this.translate('archive.title_monthly', {
+        month: new Intl.DateTimeFormat(this.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(issue.start)
+      })
+      : this.translate('archive.title_weekly', {
+        date: new Intl.DateTimeFormat(this.locale, { dateStyle: 'long', timeZone: 'UTC' }).format(issue.start)
+      });
+    
+    header.append(
+      navButton('archive-previous', 'archive.previous', index + 1),
+      title,
+      navButton('archive-next', 'archive.next', index - 1)
+    );
+    
+    const count = document.createElement('p');
+    count.className = 'archive-count';
+    count.textContent = this.translate('archive.count', { count: issue.entries.length });
+    
+    container.append(header, count);
+    
+    // One section per topic, in the order the form lists them
+    const groups = new Map();
+    issue.entries.forEach(entry => {
+      const entryTopics = entry.topics.length > 0 ? entry.topics : ['other'];
+      entryTopics
+        .filter(topic => this.view.topics.length === 0 || this.view.topics.includes(topic))
+        .forEach(topic => {
+          if (!groups.has(topic)) groups.set(topic, []);
+          groups.get(topic).push(entry);
+        });
+    });
+    
+    const dateFormat = new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium' });
+    groups.forEach((entries, topic) => {
+      const section = document.createElement('section');
+      section.className = 'archive-topic';
+      
+      const heading = document.createElement('h5');
+      heading.textContent = this.translate(`topic.${topic}`);
+      
+      const list = document.createElement('ul');
+      entries.forEach(entry => {
+        const item = document.createElement('li');
+        
+        const link = document.createElement('a');
+        link.href = entry.link;
+        link.textContent = entry.title;
+        
+        const time = document.createElement('time');
+        time.dateTime = entry.published.toISOString();
+        time.textContent = dateFormat.format(entry.published);
+        
+        item.append(link, ' ', time);
+        if (entry.summary) {
+          const summary = document.createElement('p');
+          summary.textContent = entry.summary;
+          item.appendChild(summary);
+        }
+        list.appendChild(item);
+      });
+      
+      section.append(heading, list);
+      container.appendChild(section);
+    });
+    
+    return issue;
+  }
+}
+
+// Export for external use
+window.NewsletterArchive = NewsletterArchive;
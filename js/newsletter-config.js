@@ -0,0 +1,24 @@
+/**
+ * Newsletter site configuration
+ * Read by js/newsletter.js when it starts, so every page with a newsletter form loads it first.
+ * A page may still set window.NEWSLETTER_CONFIG before this script to override single values.
+ * The keys are written by "keygen ... --config js/newsletter-config.js" in tools/newsletter-token.js
+ * and tools/newsletter-crypto.js; only public keys belong here. tools/newsletter-site-config.js
+ * --check fails while one of them is missing.
+ *
+ * @module newsletter-config
+ * @priority high
+ * @features configuration
+ */
+
+window.NEWSLETTER_CONFIG = {
+  github_owner: 'thomas-iniguez-visioli',
+  github_repo: 'portfolio',
+  // ES256 public JWK checking the confirmation and manage links (tools/newsletter-token.js)
+  confirmation_public_key: null,
+  // P-256 public JWK sealing subscriber data in public issues (tools/newsletter-crypto.js)
+  encryption_public_key: null,
+  // Per-site salt of the email hashes; without it issues carry no hash (tools/newsletter-crypto.js)
+  email_hash_salt: null,
+  ...window.NEWSLETTER_CONFIG
+};
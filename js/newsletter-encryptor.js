@@ -0,0 +1,148 @@
+/**
+ * Subscriber data encryption
+ * Seals the email and preferences for the site-published P-256 public key
+ * (ephemeral ECDH, HKDF-SHA256, AES-256-GCM) so public issues only carry ciphertext
+ * and, when email_hash_salt is configured, a salted, slow hash of the address.
+ * There is no default salt: a public one would make the hash a dictionary lookup.
+ * tools/newsletter-crypto.js decrypts.
+ *
+ * @module newsletter-encryptor
+ * @priority high
+ * @features encryption, email-hashing
+ */
+class NewsletterEncryptor {
+  constructor(options = {}) {
+    this.publicKey = options.publicKey || null;
+    this.hashSalt = options.hashSalt || null;
+    this.hashIterations = options.hashIterations || 100000;
+    this.recipientKey = null;
+  }
+  
+  static get ALGORITHM() {
+    return 'ECDH-ES+HKDF-SHA256+A256GCM';
+  }
+  
+  static get HKDF_INFO() {
+    return 'newsletter-subscriber-v1';
+  }
+  
+  isEnabled() {
+    return Boolean(this.publicKey);
+  }
+  
+  isSupported() {
+    return Boolean(window.crypto?.subtle && window.TextEncoder);
+  }
+  
+  canHash() {
+    return Boolean(this.hashSalt) && this.isSupported();
+  }
+  
+  // Replace every personal field with the hash and the sealed envelope
+  async protect(formData) {
+    if (!this.isSupported()) {
+      throw new Error('ENCRYPTION_UNAVAILABLE');
+    }
+    
+    const { action, email, frequency, topics, format, subscriptionId, timestamp, proofOfWork, auth } = formData;
+    const [emailHash, ciphertext] = await Promise.all([
+      this.canHash() ? this.hashEmail(email) : null,
+      this.encrypt({ email, frequency, topics, format })
+    ]);
+    
+    return {
+      action,
+      subscriptionId,
+      timestamp,
+      emailHash,
+      ciphertext,
+      proofOfWork,
+      auth,
+      encrypted: true
+    };
+  }
+  
+  async hashEmail(email) {
+    if (!this.hashSalt) {
+      throw new Error('HASH_SALT_MISSING');
+    }
+    
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(String(email).trim().toLowerCase()),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(this.hashSalt), iterations: this.hashIterations },
+      material,
+      256
+    );
+    
+    return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  async encrypt(data) {
+    if (!this.recipientKey) {
+      this.recipientKey = await crypto.subtle.importKey(
+        'jwk',
+        { kty: 'EC', crv: 'P-256', x: this.publicKey.x, y: this.publicKey.y },
+        { name: 'ECDH', namedCurve: 'P-256' },
+        false,
+        []
+      );
+    }
+    
+    const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const sharedSecret = await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: this.recipientKey },
+      ephemeral.privateKey,
+      256
+    );
+    
+    const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+    const aesKey = await crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(0),
+        info: new TextEncoder().encode(NewsletterEncryptor.HKDF_INFO)
+      },
+      hkdfKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt']
+    );
+    
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      aesKey,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+    
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', ephemeral.publicKey);
+    const envelope = {
+      v: 1,
+      alg: NewsletterEncryptor.ALGORITHM,
+      epk: { kty, crv, x, y },
+      iv: NewsletterEncryptor.encodeBase64Url(iv),
+      ct: NewsletterEncryptor.encodeBase64Url(new Uint8Array(ciphertext))
+    };
+    
+    return NewsletterEncryptor.encodeBase64Url(new TextEncoder().encode(JSON.stringify(envelope)));
+  }
+  
+  static encodeBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+}
+
+// Export for external use
+window.NewsletterEncryptor = NewsletterEncryptor;
@@ -0,0 +1,313 @@
+/**
+ * Message catalogues
+ * Keys resolve in the active locale, then the fallback locale. "{name}" placeholders are
+ * interpolated; entries given as { one, other, ... } are selected with Intl.PluralRules on params.count.
+ *
+ * @module newsletter-i18n
+ * @priority high
+ * @features localization, pluralization
+ */
+class NewsletterI18n {
+  constructor(options = {}) {
+    this.catalogues = {};
+    Object.entries(NewsletterI18n.CATALOGUES).forEach(([locale, messages]) => {
+      this.addMessages(locale, messages);
+    });
+    Object.entries(options.messages || {}).forEach(([locale, messages]) => {
+      this.addMessages(locale, messages);
+    });
+    
+    this.fallbackLocale = options.fallbackLocale || 'en';
+    this.locale = this.resolveLocale(options.locale || NewsletterI18n.detectLocale());
+    this.pluralRules = new Map();
+  }
+  
+  static detectLocale() {
+    return document.documentElement.getAttribute('lang') || navigator.language || 'fr';
+  }
+  
+  addMessages(locale, messages) {
+    this.catalogues[locale] = { ...(this.catalogues[locale] || {}), ...messages };
+  }
+  
+  // "fr-FR" falls back to "fr", unknown locales to the fallback locale
+  resolveLocale(locale) {
+    const normalized = String(locale || '').toLowerCase();
+    if (this.catalogues[normalized]) return normalized;
+    
+    const language = normalized.split('-')[0];
+    return this.catalogues[language] ? language : this.fallbackLocale;
+  }
+  
+  has(key) {
+    return key in (this.catalogues[this.locale] || {}) || key in (this.catalogues[this.fallbackLocale] || {});
+  }
+  
+  t(key, params = {}, locale = this.locale) {
+    const resolved = this.resolveLocale(locale);
+    let entry = this.catalogues[resolved]?.[key] ?? this.catalogues[this.fallbackLocale]?.[key];
+    
+    if (entry === undefined) {
+      if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        console.warn(`⚠️ Missing newsletter message: ${key}`);
+      }
+      return key;
+    }
+    
+    if (typeof entry === 'object') {
+      entry = entry[this.selectPlural(resolved, params.count)] ?? entry.other;
+    }
+    
+    return entry.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  
+  selectPlural(locale, count) {
+    if (!window.Intl?.PluralRules) {
+      return count === 1 ? 'one' : 'other';
+    }
+    if (!this.pluralRules.has(locale)) {
+      this.pluralRules.set(locale, new Intl.PluralRules(locale));
+    }
+    return this.pluralRules.get(locale).select(Number(count) || 0);
+  }
+  
+  static get CATALOGUES() {
+    return {
+      fr: {
+        'button.subscribe': 'S\'abonner',
+        'button.update': 'Mettre à jour',
+        'button.processing': 'Traitement...',
+        'button.fix_errors': 'Corriger les erreurs',
+        'button.complete_form': 'Compléter le formulaire',
+        
+        'email.required': 'L\'adresse email est requise',
+        'email.invalid_format': 'Format d\'email invalide',
+        'email.invalid_domain': 'Nom de domaine invalide',
+        'email.suggestion': 'Vouliez-vous dire {suggestion} ?',
+        'email.disposable': 'Les adresses email temporaires ne sont pas acceptées',
+        'email.role_account': 'Adresse générique (contact@, info@...) : vérifiez que le lien de confirmation vous parviendra bien',
+        'suggestion.accept': 'Utiliser {suggestion}',
+        'suggestion.keep': 'Garder mon adresse',
+        
+        'validation.frequency_required': 'Veuillez sélectionner une fréquence de newsletter',
+        'validation.consent_required': 'Vous devez accepter les conditions pour vous abonner',
+        
+        'wizard.next': 'Continuer',
+        'wizard.back': 'Retour',
+        'wizard.progress': 'Étape {current} sur {total}',
+        'wizard.step.email': 'Adresse',
+        'wizard.step.preferences': 'Préférences',
+        'wizard.step.review': 'Validation',
+        'wizard.review.email': 'Adresse e-mail',
+        'wizard.review.frequency': 'Fréquence',
+        'wizard.review.topics': 'Sujets',
+        'wizard.review.no_topics': 'Aucun sujet sélectionné',
+        
+        'network.online': 'Connexion rétablie. Vous pouvez réessayer.',
+        'network.offline': 'Connexion perdue. Vérifiez votre connexion internet.',
+        
+        'error.cooldown': 'Veuillez attendre avant de soumettre à nouveau.',
+        'error.generic': 'Une erreur est survenue lors de l\'inscription.',
+        'error.offline': 'Connexion internet requise. Vérifiez votre connexion.',
+        'error.rate_limit': 'Trop de tentatives. Veuillez attendre avant de réessayer.',
+        'error.validation': 'Données invalides. Vérifiez vos informations.',
+        'error.popup_blocked': 'La fenêtre d\'inscription a été bloquée. Autorisez les fenêtres pop-up pour ce site.',
+        'error.encryption': 'Votre navigateur ne permet pas de chiffrer vos données. Mettez-le à jour pour vous abonner.',
+        'error.configuration': 'L\'inscription n\'est pas disponible pour le moment.',
+        'error.network': 'Erreur de connexion. Vérifiez votre connexion internet.',
+        'error.retry': 'Veuillez réessayer.',
+        'error.too_fast': 'Formulaire envoyé trop rapidement. Vérifiez vos informations puis réessayez.',
+        'error.challenge': 'La vérification anti-spam a échoué. Veuillez réessayer.',
+        'error.rate_limit_local': {
+          one: 'Trop de demandes depuis ce navigateur. Réessayez dans {count} minute.',
+          other: 'Trop de demandes depuis ce navigateur. Réessayez dans {count} minutes.'
+        },
+        
+        'success.pending_confirmation': 'Presque terminé : confirmez votre inscription grâce au lien reçu par email.',
+        'success.pending_confirmation_email': 'Presque terminé : confirmez votre inscription grâce au lien envoyé à {email}.',
+        'preferences.updated': 'Vos préférences ont été enregistrées.',
+        'preferences.unsubscribed': 'Votre demande de désinscription a été enregistrée.',
+        'preferences.link_required': 'Utilisez le lien de gestion présent dans chaque newsletter pour modifier vos préférences ou vous désinscrire.',
+        'preferences.link_expired': 'Ce lien de gestion a expiré. Utilisez celui de la dernière newsletter reçue.',
+        'preferences.misconfigured': 'La gestion des préférences est indisponible pour le moment. Réessayez plus tard avec le même lien.',
+        
+        'queue.saved': 'Vous êtes hors ligne. Votre inscription est enregistrée et sera envoyée au retour de la connexion.',
+        'queue.failed': 'Certaines inscriptions en attente n\'ont pas pu être envoyées.',
+        'queue.sent': {
+          one: 'Votre inscription en attente a été envoyée.',
+          other: '{count} inscriptions en attente ont été envoyées.'
+        },
+        'queue.pending': {
+          one: '{count} inscription en attente d\'envoi',
+          other: '{count} inscriptions en attente d\'envoi'
+        },
+        'queue.retry': 'Envoyer maintenant',
+        
+        'confirmation.verifying': 'Vérification de votre lien de confirmation...',
+        'confirmation.verified': 'Lien valide. Cliquez ci-dessous pour confirmer votre inscription.',
+        'confirmation.submitting': 'Confirmation en cours...',
+        'confirmation.confirmed': 'Votre inscription est confirmée. Merci !',
+        'confirmation.expired': 'Ce lien de confirmation a expiré. Inscrivez-vous à nouveau pour en recevoir un nouveau.',
+        'confirmation.missing': 'Aucun jeton de confirmation n\'a été trouvé dans ce lien.',
+        'confirmation.invalid': 'Ce lien de confirmation est invalide.',
+        'confirmation.unsupported': 'Votre navigateur ne permet pas de vérifier ce lien de confirmation.',
+        'confirmation.misconfigured': 'Les confirmations sont indisponibles pour le moment. Réessayez plus tard avec le même lien.',
+        'confirmation.submit_failed': 'La confirmation n\'a pas pu être enregistrée. Veuillez réessayer.',
+        
+        'topic.other': 'Autres publications',
+        
+        'archive.title_weekly': 'Numéro de la semaine du {date}',
+        'archive.title_monthly': 'Numéro de {month}',
+        'archive.count': {
+          one: '{count} publication dans ce numéro',
+          other: '{count} publications dans ce numéro'
+        },
+        'archive.empty': 'Aucune publication ne correspond encore à ces sujets.',
+        'archive.unavailable': 'L\'aperçu des numéros est indisponible pour le moment.',
+        'archive.previous': '‹ Précédent',
+        'archive.next': 'Suivant ›',
+        
+        'issue.email_address': 'Adresse email',
+        'issue.email_hash': 'Empreinte de l\'email',
+        'issue.request_type': 'Type de demande',
+        'issue.request.subscribe': 'Inscription',
+        'issue.request.update': 'Mise à jour des préférences',
+        'issue.request.unsubscribe': 'Désinscription',
+        'issue.frequency': 'Fréquence de la newsletter',
+        'issue.topics': 'Sujets d\'intérêt',
+        'issue.no_topics': 'Aucun sujet spécifique sélectionné',
+        'issue.format': 'Format des emails',
+        'issue.encrypted_payload': 'Données chiffrées',
+        'issue.consent': 'Consentement & confidentialité',
+        'issue.consent_receive': 'J\'accepte de recevoir la newsletter à l\'adresse indiquée',
+        'issue.consent_encrypted': 'Je comprends que mon adresse sera chiffrée et stockée de manière sécurisée',
+        'issue.consent_unsubscribe': 'Je comprends que je peux me désinscrire à tout moment',
+        'issue.subscription_id': 'Identifiant d\'inscription',
+        'issue.additional_info': 'Informations complémentaires (optionnel)',
+        'issue.note.subscribe': 'Inscription automatique via le formulaire du site web.',
+        'issue.note.update': 'Mise à jour via la page de préférences du site web.',
+        'issue.note.unsubscribe': 'Désinscription via la page de préférences du site web.',
+        'issue.note.encrypted': 'Email et préférences chiffrés dans le navigateur ({algorithm}).'
+      },
+      en: {
+        'button.subscribe': 'Subscribe',
+        'button.update': 'Update',
+        'button.processing': 'Processing...',
+        'button.fix_errors': 'Fix the errors',
+        'button.complete_form': 'Complete the form',
+        
+        'email.required': 'Email address is required',
+        'email.invalid_format': 'Invalid email format',
+        'email.invalid_domain': 'Invalid domain name',
+        'email.suggestion': 'Did you mean {suggestion}?',
+        'email.disposable': 'Temporary email addresses are not accepted',
+        'email.role_account': 'Shared address (contact@, info@...): make sure the confirmation link will reach you',
+        'suggestion.accept': 'Use {suggestion}',
+        'suggestion.keep': 'Keep my address',
+        
+        'validation.frequency_required': 'Please choose a newsletter frequency',
+        'validation.consent_required': 'You must accept the terms to subscribe',
+        
+        'wizard.next': 'Continue',
+        'wizard.back': 'Back',
+        'wizard.progress': 'Step {current} of {total}',
+        'wizard.step.email': 'Email',
+        'wizard.step.preferences': 'Preferences',
+        'wizard.step.review': 'Review',
+        'wizard.review.email': 'Email address',
+        'wizard.review.frequency': 'Frequency',
+        'wizard.review.topics': 'Topics',
+        'wizard.review.no_topics': 'No topics selected',
+        
+        'network.online': 'Connection restored. You can try again.',
+        'network.offline': 'Connection lost. Check your internet connection.',
+        
+        'error.cooldown': 'Please wait before submitting again.',
+        'error.generic': 'Something went wrong while subscribing.',
+        'error.offline': 'An internet connection is required. Check your connection.',
+        'error.rate_limit': 'Too many attempts. Please wait before trying again.',
+        'error.validation': 'Invalid data. Please check your details.',
+        'error.popup_blocked': 'The subscription window was blocked. Allow pop-ups for this site.',
+        'error.encryption': 'Your browser cannot encrypt your data. Please update it to subscribe.',
+        'error.configuration': 'Subscriptions are not available at the moment.',
+        'error.network': 'Connection error. Check your internet connection.',
+        'error.retry': 'Please try again.',
+        'error.too_fast': 'The form was sent too quickly. Check your details and try again.',
+        'error.challenge': 'The anti-spam check failed. Please try again.',
+        'error.rate_limit_local': {
+          one: 'Too many requests from this browser. Try again in {count} minute.',
+          other: 'Too many requests from this browser. Try again in {count} minutes.'
+        },
+        
+        'success.pending_confirmation': 'Almost done: confirm your subscription with the link sent by email.',
+        'success.pending_confirmation_email': 'Almost done: confirm your subscription with the link sent to {email}.',
+        'preferences.updated': 'Your preferences have been saved.',
+        'preferences.unsubscribed': 'Your unsubscribe request has been recorded.',
+        'preferences.link_required': 'Use the manage link included in every newsletter to change your preferences or unsubscribe.',
+        'preferences.link_expired': 'This manage link has expired. Use the one from the latest newsletter you received.',
+        'preferences.misconfigured': 'Preference management is unavailable right now. Try the same link again later.',
+        
+        'queue.saved': 'You are offline. Your subscription is saved and will be sent once you are back online.',
+        'queue.failed': 'Some pending subscriptions could not be sent.',
+        'queue.sent': {
+          one: 'Your pending subscription has been sent.',
+          other: '{count} pending subscriptions have been sent.'
+        },
+        'queue.pending': {
+          one: '{count} subscription waiting to be sent',
+          other: '{count} subscriptions waiting to be sent'
+        },
+        'queue.retry': 'Send now',
+        
+        'confirmation.verifying': 'Checking your confirmation link...',
+        'confirmation.verified': 'Valid link. Click below to confirm your subscription.',
+        'confirmation.submitting': 'Confirming...',
+        'confirmation.confirmed': 'Your subscription is confirmed. Thank you!',
+        'confirmation.expired': 'This confirmation link has expired. Subscribe again to receive a new one.',
+        'confirmation.missing': 'No confirmation token was found in this link.',
+        'confirmation.invalid': 'This confirmation link is invalid.',
+        'confirmation.unsupported': 'Your browser cannot verify this confirmation link.',
+        'confirmation.misconfigured': 'Confirmations are unavailable right now. Try the same link again later.',
+        'confirmation.submit_failed': 'The confirmation could not be recorded. Please try again.',
+        
+        'topic.other': 'Other posts',
+        
+        'archive.title_weekly': 'Issue for the week of {date}',
+        'archive.title_monthly': '{month} issue',
+        'archive.count': {
+          one: '{count} post in this issue',
+          other: '{count} posts in this issue'
+        },
+        'archive.empty': 'No posts match these topics yet.',
+        'archive.unavailable': 'Issue previews are unavailable right now.',
+        'archive.previous': '‹ Previous',
+        'archive.next': 'Next ›',
+        
+        'issue.email_address': 'Email Address',
+        'issue.email_hash': 'Email Hash',
+        'issue.request_type': 'Request Type',
+        'issue.request.subscribe': 'Subscription',
+        'issue.request.update': 'Preference update',
+        'issue.request.unsubscribe': 'Unsubscribe',
+        'issue.frequency': 'Newsletter Frequency',
+        'issue.topics': 'Topics of Interest',
+        'issue.no_topics': 'No specific topic selected',
+        'issue.format': 'Email Format',
+        'issue.encrypted_payload': 'Encrypted Payload',
+        'issue.consent': 'Consent & Privacy',
+        'issue.consent_receive': 'I consent to receiving newsletters at the provided email address',
+        'issue.consent_encrypted': 'I understand that my email will be encrypted and stored securely',
+        'issue.consent_unsubscribe': 'I understand I can unsubscribe at any time',
+        'issue.subscription_id': 'Subscription ID',
+        'issue.additional_info': 'Additional Information (Optional)',
+        'issue.note.subscribe': 'Automatic subscription from the website form.',
+        'issue.note.update': 'Updated from the website preferences page.',
+        'issue.note.unsubscribe': 'Unsubscribed from the website preferences page.',
+        'issue.note.encrypted': 'Email and preferences encrypted in the browser ({algorithm}).'
+      }
+    };
+  }
+}
+
+// Export for external use
+window.NewsletterI18n = NewsletterI18n;
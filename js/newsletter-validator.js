@@ -0,0 +1,276 @@
+/**
+ * Email validation pipeline
+ * Rules run in order and either pass (return null) or fail with { code, message, suggestion? }.
+ * A result with warning: true is reported alongside a valid address instead of failing it.
+ * Domain lists are loaded from the JSON files next to js/resource-hints-config.json.
+ *
+ * @module newsletter-validator
+ * @priority high
+ * @features email-validation, typo-suggestions
+ */
+class NewsletterEmailValidator {
+  constructor(options = {}) {
+    this.order = [...(options.rules || ['idn', 'syntax', 'disposable', 'role', 'typo'])];
+    this.listUrls = {
+      common: '/js/email-common-domains.json',
+      disposable: '/js/email-disposable-domains.json',
+      role: '/js/email-role-accounts.json',
+      ...options.lists
+    };
+    this.maxSuggestionDistance = options.maxSuggestionDistance || 2;
+    this.translate = options.translate || ((key) => key);
+    
+    this.rules = new Map();
+    this.suggestionCache = new Map();
+    this.acceptedDomains = new Set();
+    this.listsPromise = null;
+    
+    // Minimal built-in lists until the JSON files are loaded
+    this.setLists({
+      common: ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'],
+      disposable: ['10minutemail.com', 'tempmail.org', 'guerrillamail.com'],
+      role: ['admin', 'noreply', 'no-reply', 'postmaster', 'webmaster']
+    });
+    
+    this.registerDefaults();
+    Object.entries(options.customRules || {}).forEach(([name, rule]) => {
+      this.register(name, rule);
+      if (!this.order.includes(name)) {
+        this.order.push(name);
+      }
+    });
+  }
+  
+  register(name, rule) {
+    if (typeof rule !== 'function') {
+      throw new Error(`Invalid email validation rule: ${name}`);
+    }
+    
+    this.rules.set(name, rule);
+  }
+  
+  setLists({ common, disposable, role }) {
+    if (common) {
+      this.commonDomains = new Set(common.map(domain => domain.toLowerCase()));
+      
+      // Bucket by length: a domain within distance N differs in length by at most N
+      this.domainsByLength = new Map();
+      this.commonDomains.forEach(domain => {
+        if (!this.domainsByLength.has(domain.length)) {
+          this.domainsByLength.set(domain.length, []);
+        }
+        this.domainsByLength.get(domain.length).push(domain);
+      });
+      this.suggestionCache.clear();
+    }
+    
+    if (disposable) {
+      this.disposableDomains = new Set(disposable.map(domain => domain.toLowerCase()));
+    }
+    
+    if (role) {
+      this.roleAccounts = new Set(role.map(local => local.toLowerCase()));
+    }
+  }
+  
+  loadLists() {
+    if (this.listsPromise) return this.listsPromise;
+    
+    const fetchList = async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.json();
+    };
+    
+    this.listsPromise = Promise.allSettled(
+      ['common', 'disposable', 'role'].map(name => fetchList(this.listUrls[name]))
+    ).then(([common, disposable, role]) => {
+      const value = (result, name) => {
+        if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+          return result.value;
+        }
+        console.warn(`Email ${name} list unavailable, using built-in defaults`, result.reason);
+        return null;
+      };
+      
+      this.setLists({
+        common: value(common, 'common'),
+        disposable: value(disposable, 'disposable'),
+        role: value(role, 'role')
+      });
+    });
+    
+    return this.listsPromise;
+  }
+  
+  validate(rawEmail) {
+    const email = String(rawEmail || '').trim();
+    if (!email) {
+      return { valid: false, email, error: { code: 'required', message: this.translate('email.required') } };
+    }
+    
+    const at = email.lastIndexOf('@');
+    const context = {
+      email,
+      local: at > 0 ? email.slice(0, at) : email,
+      domain: at > 0 ? email.slice(at + 1).toLowerCase() : '',
+      validator: this
+    };
+    
+    let warning = null;
+    for (const name of this.order) {
+      const rule = this.rules.get(name);
+      if (!rule) continue;
+      
+      const error = rule(context);
+      if (error?.warning) {
+        warning = warning || { rule: name, ...error };
+      } else if (error) {
+        return { valid: false, email: context.email, error: { rule: name, ...error }, warning };
+      }
+    }
+    
+    return { valid: true, email: context.email, error: null, warning };
+  }
+  
+  // Returns the normalised address (punycode domain) or the trimmed input if invalid
+  normalize(rawEmail) {
+    return this.validate(rawEmail).email;
+  }
+  
+  registerDefaults() {
+    // Internationalised domains are converted to their ASCII (punycode) form
+    this.register('idn', (context) => {
+      if (!context.domain || /^[\x00-\x7F]*$/.test(context.domain)) return null;
+      
+      // URL parsing would silently cut the host at these ("exämple.com/x" -> "xn--exmple-cua.com")
+      if (/[\s/\\?#:]/.test(context.domain)) {
+        return { code: 'invalid_format', message: context.validator.translate('email.invalid_domain') };
+      }
+      
+      try {
+        context.domain = new URL(`http://${context.domain}`).hostname;
+        context.email = `${context.local}@${context.domain}`;
+        return null;
+      } catch (error) {
+        return { code: 'invalid_format', message: context.validator.translate('email.invalid_domain') };
+      }
+    });
+    
+    this.register('syntax', (context) => {
+      const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+      
+      if (!emailRegex.test(context.email)) {
+        return { code: 'invalid_format', message: context.validator.translate('email.invalid_format') };
+      }
+      return null;
+    });
+    
+    this.register('typo', (context) => {
+      const suggestion = context.validator.suggestDomain(context.domain);
+      if (suggestion) {
+        return {
+          code: 'suggestion',
+          message: context.validator.translate('email.suggestion', { suggestion }),
+          suggestion: `${context.local}@${suggestion}`
+        };
+      }
+      return null;
+    });
+    
+    this.register('disposable', (context) => {
+      // Also catch subdomains such as foo.mailinator.com
+      const parts = context.domain.split('.');
+      for (let i = 0; i < parts.length - 1; i++) {
+        if (context.validator.disposableDomains.has(parts.slice(i).join('.'))) {
+          return { code: 'disposable', message: context.validator.translate('email.disposable') };
+        }
+      }
+      return null;
+    });
+    
+    // Shared mailboxes are legitimate subscribers, but the confirmation may land with someone else
+    this.register('role', (context) => {
+      const local = context.local.toLowerCase().split('+')[0];
+      if (context.validator.roleAccounts.has(local)) {
+        return { code: 'role_account', message: context.validator.translate('email.role_account'), warning: true };
+      }
+      return null;
+    });
+  }
+  
+  // Domains the user confirmed despite a suggestion are no longer flagged
+  acceptDomain(domain) {
+    this.acceptedDomains.add(domain.toLowerCase());
+  }
+  
+  // Closest common domain within the allowed distance, memoised per domain
+  suggestDomain(domain) {
+    if (!domain || this.commonDomains.has(domain) || this.acceptedDomains.has(domain)) return null;
+    if (this.suggestionCache.has(domain)) return this.suggestionCache.get(domain);
+    
+    const suggestion = this.getSuggestions(domain)[0] || null;
+    this.suggestionCache.set(domain, suggestion);
+    return suggestion;
+  }
+  
+  getSuggestions(input, domains = null) {
+    const inputLower = input.toLowerCase();
+    // Short domains are legitimately close to one another, only flag single edits there
+    const max = inputLower.length >= 8 ? this.maxSuggestionDistance : 1;
+    const candidates = domains || [];
+    
+    if (!domains) {
+      for (let length = inputLower.length - max; length <= inputLower.length + max; length++) {
+        candidates.push(...(this.domainsByLength.get(length) || []));
+      }
+    }
+    
+    return candidates
+      .map(domain => ({ domain, distance: NewsletterEmailValidator.levenshteinDistance(inputLower, domain, max) }))
+      .filter(({ distance }) => distance > 0 && distance <= max)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ domain }) => domain);
+  }
+  
+  // Stops early once every cell of a row exceeds maxDistance
+  static levenshteinDistance(str1, str2, maxDistance = Infinity) {
+    const matrix = [];
+    
+    for (let i = 0; i <= str2.length; i++) {
+      matrix[i] = [i];
+    }
+    
+    for (let j = 0; j <= str1.length; j++) {
+      matrix[0][j] = j;
+    }
+    
+    for (let i = 1; i <= str2.length; i++) {
+      let rowMin = matrix[i][0];
+      
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1
+          );
+        }
+        rowMin = Math.min(rowMin, matrix[i][j]);
+      }
+      
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+    }
+    
+    return matrix[str2.length][str1.length];
+  }
+}
+
+// Export for external use
+window.NewsletterEmailValidator = NewsletterEmailValidator;
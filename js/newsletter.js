@@ -1,8 +1,683 @@
 /**
  * Enhanced Newsletter Subscription Component
  * Creates GitHub issues for newsletter subscriptions with advanced validation and analytics
+ *
+ * @module newsletter
+ * @priority high
+ * @depends newsletter-config, newsletter-i18n, newsletter-validator, newsletter-encryptor, newsletter-antibot, newsletter-archive
+ * @features form-handling, api-integration
+ * @loadTrigger interaction
  */
 
+/**
+ * Submission transports
+ * Every transport resolves to the same result shape: { success, transport, data?, error? }
+ */
+class NewsletterTransportRegistry {
+  constructor() {
+    this.transports = new Map();
+    this.registerDefaults();
+  }
+  
+  register(name, transport) {
+    if (!name || typeof transport?.send !== 'function') {
+      throw new Error(`Invalid newsletter transport: ${name}`);
+    }
+    
+    this.transports.set(name, transport);
+  }
+  
+  unregister(name) {
+    return this.transports.delete(name);
+  }
+  
+  has(name) {
+    return this.transports.has(name);
+  }
+  
+  // Interactive transports open a window or leave the page, so they need a user gesture
+  isInteractive(name) {
+    return Boolean(this.transports.get(name)?.interactive);
+  }
+  
+  getNames() {
+    return Array.from(this.transports.keys());
+  }
+  
+  // Ordered list of transports usable with the given configuration
+  resolveOrder(config) {
+    const requested = config.order && config.order.length > 0
+      ? config.order
+      : this.getDefaultOrder(config);
+    
+    return requested.filter(name => {
+      const transport = this.transports.get(name);
+      if (!transport) {
+        console.warn(`Unknown newsletter transport: ${name}`);
+        return false;
+      }
+      return !transport.isAvailable || transport.isAvailable(config);
+    });
+  }
+  
+  getDefaultOrder(config) {
+    const order = [];
+    if (config.apiEndpoint) order.push('api');
+    if (config.formEndpoint) order.push('form');
+    order.push('github');
+    if (config.mailtoAddress) order.push('mailto');
+    return order;
+  }
+  
+  async send(name, submission, config, context = {}) {
+    const transport = this.transports.get(name);
+    if (!transport) {
+      return { success: false, transport: name, error: new Error(`Unknown newsletter transport: ${name}`) };
+    }
+    
+    try {
+      const result = await transport.send(submission, config, context);
+      if (result && result.success === false) {
+        return {
+          ...result,
+          transport: name,
+          error: result.error instanceof Error ? result.error : new Error(result.error || 'TRANSPORT_FAILED')
+        };
+      }
+      return { success: true, transport: name, data: result?.data ?? result ?? null };
+    } catch (error) {
+      return { success: false, transport: name, error };
+    }
+  }
+  
+  registerDefaults() {
+    // Opens a pre-filled "new issue" page; the user completes the submission on GitHub
+    this.register('github', {
+      interactive: true,
+      isAvailable: (config) => Boolean(config.github?.owner && config.github?.repo),
+      send: async (submission, config, context) => {
+        const url = NewsletterTransportRegistry.buildGitHubIssueUrl(config.github, submission);
+        
+        // A window opened earlier in the click handler still carries the user activation
+        if (context.window && !context.window.closed) {
+          context.window.location.href = url;
+          context.windowUsed = true;
+          return { success: true, data: { url } };
+        }
+        
+        const popup = window.open(url, '_blank');
+        if (!popup) {
+          return { success: false, error: 'POPUP_BLOCKED' };
+        }
+        return { success: true, data: { url } };
+      }
+    });
+    
+    // JSON POST to a backend that creates the issue server-side (recommended for production)
+    this.register('api', {
+      isAvailable: (config) => Boolean(config.apiEndpoint),
+      send: async (submission, config) => {
+        const response = await NewsletterTransportRegistry.fetchWithTimeout(config.apiEndpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            title: submission.title,
+            body: submission.body,
+            labels: submission.labels
+          })
+        }, config.timeout);
+        
+        return { success: true, data: await NewsletterTransportRegistry.readResponse(response) };
+      }
+    });
+    
+    // Form-encoded POST, for form backends (Formspree, Netlify forms, ...)
+    this.register('form', {
+      isAvailable: (config) => Boolean(config.formEndpoint),
+      send: async (submission, config) => {
+        const params = new URLSearchParams({
+          title: submission.title,
+          body: submission.body,
+          labels: submission.labels.join(',')
+        });
+        Object.entries(submission.fields || {}).forEach(([key, value]) => {
+          params.append(key, Array.isArray(value) ? value.join(',') : String(value));
+        });
+        
+        const response = await NewsletterTransportRegistry.fetchWithTimeout(config.formEndpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+          },
+          body: params.toString()
+        }, config.timeout);
+        
+        return { success: true, data: await NewsletterTransportRegistry.readResponse(response) };
+      }
+    });
+    
+    // Hands the submission to the visitor's mail client; delivery cannot be confirmed
+    this.register('mailto', {
+      interactive: true,
+      isAvailable: (config) => Boolean(config.mailtoAddress),
+      send: async (submission, config) => {
+        const params = new URLSearchParams({
+          subject: submission.title,
+          body: submission.body
+        });
+        // URLSearchParams encodes spaces as "+", which mail clients display literally
+        const url = `mailto:${config.mailtoAddress}?${params.toString().replace(/\+/g, '%20')}`;
+        window.location.href = url;
+        return { success: true, data: { url } };
+      }
+    });
+    
+    // Local mock for development and demos
+    this.register('mock', {
+      send: async (submission, config) => {
+        // Submissions carry the address: only echo them on a development machine
+        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+          console.log('Newsletter mock submission:', submission);
+        }
+        await new Promise(resolve => setTimeout(resolve, config.mockDelay));
+        
+        if (config.mockOutcome === 'failure') {
+          return { success: false, error: 'MOCK_FAILURE' };
+        }
+        return { success: true, data: { message: 'Subscription processed' } };
+      }
+    });
+  }
+  
+  static buildGitHubIssueUrl(github, submission) {
+    const baseUrl = `https://github.com/${github.owner}/${github.repo}/issues/new`;
+    const params = new URLSearchParams({
+      title: submission.title,
+      body: submission.body,
+      labels: submission.labels.join(',')
+    });
+    
+    // Only subscriptions have a matching issue template in the repository
+    if (submission.template) {
+      params.set('template', submission.template);
+    }
+    
+    return `${baseUrl}?${params.toString()}`;
+  }
+  
+  static async fetchWithTimeout(url, options, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), timeout) : null;
+    
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: controller?.signal
+      });
+      
+      if (response.status === 429) {
+        throw new Error('RATE_LIMITED');
+      }
+      if (response.status === 400 || response.status === 422) {
+        throw new Error('VALIDATION_ERROR');
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      return response;
+    } finally {
+      if (timeoutId) clearTimeout(timeoutId);
+    }
+  }
+  
+  static async readResponse(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
+      return response.json();
+    }
+    return response.text();
+  }
+}
+
+/**
+ * Offline subscription queue
+ * Persists submissions made without connectivity in IndexedDB, one entry per action and
+ * address. Entries hold the prepared submission (encrypted when a key is configured, with
+ * the token proof instead of the token) and are dropped once they are older than maxAge.
+ */
+class NewsletterOfflineQueue {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'newsletter-offline-queue';
+    this.storeName = 'submissions';
+    this.maxAge = options.maxAge || 7 * 24 * 60 * 60 * 1000;
+    this.dbPromise = null;
+  }
+  
+  isSupported() {
+    return typeof window.indexedDB !== 'undefined';
+  }
+  
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.dbName, 2);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Version 1 kept raw form data and manage tokens: drop it rather than migrate it
+        if (db.objectStoreNames.contains(this.storeName)) {
+          db.deleteObjectStore(this.storeName);
+        }
+        // Keyed by action and address so a repeated request replaces the earlier one of the same kind
+        db.createObjectStore(this.storeName, { keyPath: 'key' });
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+    
+    return this.dbPromise;
+  }
+  
+  async run(mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  static normalizeKey(email) {
+    return String(email).trim().toLowerCase();
+  }
+  
+  // The address only appears in the key as a digest
+  static async keyFor(action, email) {
+    const normalized = NewsletterOfflineQueue.normalizeKey(email);
+    if (!window.crypto?.subtle || !window.TextEncoder) {
+      return `${action}:${normalized}`;
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return `${action}:${Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  }
+  
+  async enqueue(submission, email) {
+    const action = submission.fields?.action || 'subscribe';
+    const entry = {
+      key: await NewsletterOfflineQueue.keyFor(action, email),
+      action,
+      subscriptionId: submission.fields?.subscriptionId || null,
+      submission,
+      queuedAt: new Date().toISOString(),
+      attempts: 0
+    };
+    
+    await this.run('readwrite', store => store.put(entry));
+    return entry;
+  }
+  
+  async update(entry) {
+    await this.run('readwrite', store => store.put(entry));
+  }
+  
+  async remove(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+  
+  async removeFor(action, email) {
+    await this.remove(await NewsletterOfflineQueue.keyFor(action, email));
+  }
+  
+  async getAll() {
+    const entries = await this.run('readonly', store => store.getAll());
+    const cutoff = Date.now() - this.maxAge;
+    const expired = (entries || []).filter(entry => Date.parse(entry.queuedAt) < cutoff);
+    
+    if (expired.length > 0) {
+      await this.run('readwrite', store => expired.forEach(entry => store.delete(entry.key)));
+    }
+    
+    return (entries || [])
+      .filter(entry => !expired.includes(entry))
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+  
+  async count() {
+    return (await this.getAll()).length;
+  }
+}
+
+/**
+ * Double opt-in lifecycle
+ * pending -> token_issued -> confirmed, with expiry from either of the first two states.
+ * Confirmation tokens are ES256-signed ("header.payload.signature", base64url) by the
+ * maintainer's private key and verified here against the site-published public JWK.
+ * Tokens never go into public issues: a "Token-proof:" line (HMAC keyed by the token over
+ * the action and the body above it) shows the issue was written by the token holder.
+ * The preferences page takes "manage" tokens from the link in each newsletter the same way.
+ */
+class NewsletterSubscriptionLifecycle {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'newsletter-subscriptions';
+    this.publicKey = options.publicKey || null;
+    this.ttl = options.ttl || 72 * 60 * 60 * 1000;
+    this.verificationKey = null;
+  }
+  
+  static get STATUS() {
+    return {
+      PENDING: 'pending',
+      TOKEN_ISSUED: 'token_issued',
+      CONFIRMED: 'confirmed',
+      EXPIRED: 'expired'
+    };
+  }
+  
+  static get TRANSITIONS() {
+    const { PENDING, TOKEN_ISSUED, CONFIRMED, EXPIRED } = NewsletterSubscriptionLifecycle.STATUS;
+    return {
+      [PENDING]: [TOKEN_ISSUED, EXPIRED],
+      [TOKEN_ISSUED]: [CONFIRMED, EXPIRED],
+      [CONFIRMED]: [],
+      [EXPIRED]: []
+    };
+  }
+  
+  // Local records
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  save(records) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(records));
+    } catch (error) {
+      console.warn('Failed to persist newsletter subscription state:', error);
+    }
+  }
+  
+  get(id) {
+    return this.load()[id] || null;
+  }
+  
+  getAll() {
+    return Object.values(this.load());
+  }
+  
+  createPending(formData) {
+    const now = Date.now();
+    const record = {
+      id: formData.subscriptionId || NewsletterSubscriptionLifecycle.generateId(),
+      email: formData.email,
+      status: NewsletterSubscriptionLifecycle.STATUS.PENDING,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString()
+    };
+    
+    const records = this.load();
+    records[record.id] = record;
+    this.save(records);
+    return record;
+  }
+  
+  transition(id, status, changes = {}) {
+    const records = this.load();
+    const record = records[id] || {
+      id,
+      status: NewsletterSubscriptionLifecycle.STATUS.PENDING,
+      createdAt: new Date().toISOString()
+    };
+    
+    const allowed = NewsletterSubscriptionLifecycle.TRANSITIONS[record.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(`INVALID_TRANSITION: ${record.status} -> ${status}`);
+    }
+    
+    records[id] = {
+      ...record,
+      ...changes,
+      status,
+      updatedAt: new Date().toISOString()
+    };
+    this.save(records);
+    return records[id];
+  }
+  
+  // Mark unconfirmed records past their deadline as expired
+  expireStale(now = Date.now()) {
+    const { PENDING, TOKEN_ISSUED, EXPIRED } = NewsletterSubscriptionLifecycle.STATUS;
+    const records = this.load();
+    let changed = false;
+    
+    Object.values(records).forEach(record => {
+      if ([PENDING, TOKEN_ISSUED].includes(record.status) && Date.parse(record.expiresAt) < now) {
+        record.status = EXPIRED;
+        record.updatedAt = new Date(now).toISOString();
+        changed = true;
+      }
+    });
+    
+    if (changed) this.save(records);
+    return records;
+  }
+  
+  // Token handling
+  static readTokenFromLocation(location = window.location) {
+    const fromHash = new URLSearchParams(location.hash.replace(/^#/, '')).get('token');
+    return fromHash || new URLSearchParams(location.search).get('token');
+  }
+  
+  async verifyToken(token, purpose = 'confirm') {
+    if (!token) {
+      return { valid: false, reason: 'missing' };
+    }
+    if (!this.publicKey || !window.crypto?.subtle) {
+      return { valid: false, reason: 'unsupported' };
+    }
+    
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(NewsletterSubscriptionLifecycle.decodeBase64Url(parts[0], true));
+      payload = JSON.parse(NewsletterSubscriptionLifecycle.decodeBase64Url(parts[1], true));
+    } catch (error) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    // A token without a numeric expiry would never expire
+    if (header.alg !== 'ES256' || payload.purpose !== purpose || !payload.sid || typeof payload.exp !== 'number') {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    if (!this.verificationKey) {
+      this.verificationKey = await crypto.subtle.importKey(
+        'jwk',
+        this.publicKey,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+      );
+    }
+    
+    const signatureValid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      this.verificationKey,
+      NewsletterSubscriptionLifecycle.decodeBase64Url(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    
+    if (!signatureValid) {
+      return { valid: false, reason: 'signature', payload };
+    }
+    if (payload.exp * 1000 < Date.now()) {
+      return { valid: false, reason: 'expired', payload };
+    }
+    
+    return { valid: true, payload };
+  }
+  
+  // Appends the Token-proof line; tools/newsletter-token.js proveToken computes the same value
+  static async signBody(token, action, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(token), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${action}\n${NewsletterSubscriptionLifecycle.normalizeBody(body)}`));
+    
+    return `${body}\nToken-proof: ${NewsletterEncryptor.encodeBase64Url(new Uint8Array(signature))}`;
+  }
+  
+  // GitHub may rewrite line endings and trailing spaces
+  static normalizeBody(body) {
+    return String(body).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+  }
+  
+  // Utility methods
+  static decodeBase64Url(value, asText = false) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    return asText ? new TextDecoder().decode(bytes) : bytes;
+  }
+  
+  static generateId() {
+    if (window.crypto?.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
+
+/**
+ * Analytics consent gate
+ * Mirrors the tarteaucitron decision for one service. Events are held while the visitor has
+ * not decided, sent once the service is allowed and dropped when it is refused. Later changes
+ * made from the cookie panel are picked up through tarteaucitron's "<service>_allowed" and
+ * "<service>_disallowed" window events. With no service configured, or one tarteaucitron
+ * has no job for, no decision can ever come and events are dropped.
+ */
+class NewsletterConsentGate {
+  constructor(options = {}) {
+    this.service = options.service || null;
+    this.required = options.required !== false;
+    this.maxBuffered = options.maxBuffered || 50;
+    this.buffer = [];
+    this.listeners = new Set();
+    this.state = this.readState();
+    
+    this.handleAllowed = () => this.update(NewsletterConsentGate.STATE.GRANTED);
+    this.handleDisallowed = () => this.update(NewsletterConsentGate.STATE.DENIED);
+    if (this.service) {
+      window.addEventListener(`${this.service}_allowed`, this.handleAllowed);
+      window.addEventListener(`${this.service}_disallowed`, this.handleDisallowed);
+    }
+  }
+  
+  static get STATE() {
+    return {
+      PENDING: 'pending',
+      GRANTED: 'granted',
+      DENIED: 'denied'
+    };
+  }
+  
+  readState() {
+    const { PENDING, GRANTED, DENIED } = NewsletterConsentGate.STATE;
+    if (!this.required) return GRANTED;
+    if (!this.service) return DENIED;
+    
+    const tac = window.tarteaucitron;
+    if (!tac) return PENDING;
+    if (Array.isArray(tac.job) && !tac.job.includes(this.service)) return DENIED;
+    
+    const decision = tac.state?.[this.service] ?? this.readCookie(tac);
+    if (decision === true) return GRANTED;
+    if (decision === false) return DENIED;
+    return PENDING;
+  }
+  
+  // tarteaucitron fills its state asynchronously; the cookie holds earlier decisions meanwhile
+  readCookie(tac) {
+    const cookieName = tac.parameters?.cookieName || 'tarteaucitron';
+    const cookie = document.cookie.split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${cookieName}=`));
+    if (!cookie) return undefined;
+    
+    const match = decodeURIComponent(cookie.slice(cookieName.length + 1))
+      .match(new RegExp(`!${this.service}=(true|false)`));
+    return match ? match[1] === 'true' : undefined;
+  }
+  
+  isGranted() {
+    return this.state === NewsletterConsentGate.STATE.GRANTED;
+  }
+  
+  track(send) {
+    const { PENDING, GRANTED } = NewsletterConsentGate.STATE;
+    
+    if (this.state === GRANTED) {
+      send();
+    } else if (this.state === PENDING) {
+      this.buffer.push(send);
+      if (this.buffer.length > this.maxBuffered) {
+        this.buffer.shift();
+      }
+    }
+  }
+  
+  update(state) {
+    if (state === this.state) return;
+    
+    const previous = this.state;
+    this.state = state;
+    
+    if (state === NewsletterConsentGate.STATE.GRANTED) {
+      const buffered = this.buffer.splice(0);
+      buffered.forEach(send => send());
+    } else {
+      this.buffer = [];
+    }
+    
+    this.listeners.forEach(listener => listener(state, previous));
+  }
+  
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  destroy() {
+    if (this.service) {
+      window.removeEventListener(`${this.service}_allowed`, this.handleAllowed);
+      window.removeEventListener(`${this.service}_disallowed`, this.handleDisallowed);
+    }
+    this.listeners.clear();
+    this.buffer = [];
+  }
+}
+
 class NewsletterManager {
   constructor() {
     this.form = document.getElementById('newsletter-form');
@@ -10,34 +685,110 @@ class NewsletterManager {
     this.messageContainer = document.getElementById('newsletter-message');
     this.successContainer = document.getElementById('newsletter-success');
     
+    // 'subscribe' (default) or 'preferences', which also offers unsubscribing
+    this.mode = this.form?.dataset.mode || window.NEWSLETTER_CONFIG?.mode || 'subscribe';
+    
     // Configuration with fallbacks
     this.config = {
       github: {
-        owner: window.NEWSLETTER_CONFIG?.github_owner || 'your-username',
-        repo: window.NEWSLETTER_CONFIG?.github_repo || 'your-repo',
+        // No placeholder: without js/newsletter-config.js the GitHub transport is simply unavailable
+        owner: window.NEWSLETTER_CONFIG?.github_owner || null,
+        repo: window.NEWSLETTER_CONFIG?.github_repo || null,
         token: window.NEWSLETTER_CONFIG?.github_token || null
       },
       analytics: {
         enabled: window.NEWSLETTER_CONFIG?.analytics_enabled || false,
-        gtag: window.gtag || null,
-        customTracker: window.NEWSLETTER_CONFIG?.custom_tracker || null
+        gtag: window.NEWSLETTER_CONFIG?.gtag || null,
+        customTracker: window.NEWSLETTER_CONFIG?.custom_tracker || null,
+        // The tarteaucitron service that carries the analytics; none means no analytics
+        consentService: window.NEWSLETTER_CONFIG?.analytics_consent_service || null,
+        consentRequired: window.NEWSLETTER_CONFIG?.analytics_consent_required !== false
       },
       validation: {
         realTimeValidation: window.NEWSLETTER_CONFIG?.real_time_validation !== false,
-        debounceDelay: window.NEWSLETTER_CONFIG?.debounce_delay || 300
+        debounceDelay: window.NEWSLETTER_CONFIG?.debounce_delay || 300,
+        rules: window.NEWSLETTER_CONFIG?.email_rules || undefined,
+        customRules: window.NEWSLETTER_CONFIG?.email_custom_rules || {},
+        lists: window.NEWSLETTER_CONFIG?.email_lists || {}
       },
       ui: {
         animationsEnabled: !window.matchMedia('(prefers-reduced-motion: reduce)').matches,
-        progressiveEnhancement: true
+        progressiveEnhancement: true,
+        archive: window.NEWSLETTER_CONFIG?.archive !== false,
+        wizard: (this.form?.dataset.wizard ?? String(window.NEWSLETTER_CONFIG?.wizard ?? false)) === 'true'
+      },
+      i18n: {
+        locale: window.NEWSLETTER_CONFIG?.locale || null,
+        messages: window.NEWSLETTER_CONFIG?.messages || {},
+        issueLocale: window.NEWSLETTER_CONFIG?.issue_locale || 'en'
+      },
+      encryption: {
+        publicKey: window.NEWSLETTER_CONFIG?.encryption_public_key || null,
+        hashSalt: window.NEWSLETTER_CONFIG?.email_hash_salt || null
+      },
+      antiBot: {
+        honeypotName: window.NEWSLETTER_CONFIG?.honeypot_field || 'website',
+        minFillTime: window.NEWSLETTER_CONFIG?.min_fill_time ?? 3000,
+        difficulty: window.NEWSLETTER_CONFIG?.pow_difficulty ?? 16,
+        cooldown: window.NEWSLETTER_CONFIG?.submit_cooldown ?? 5000,
+        maxSubmissions: window.NEWSLETTER_CONFIG?.max_submissions_per_hour ?? 5
+      },
+      confirmation: {
+        publicKey: window.NEWSLETTER_CONFIG?.confirmation_public_key || null,
+        ttl: window.NEWSLETTER_CONFIG?.confirmation_ttl || 72 * 60 * 60 * 1000
+      },
+      transport: {
+        order: window.NEWSLETTER_CONFIG?.transports || null,
+        apiEndpoint: window.NEWSLETTER_CONFIG?.api_endpoint || null,
+        formEndpoint: window.NEWSLETTER_CONFIG?.form_endpoint || null,
+        mailtoAddress: window.NEWSLETTER_CONFIG?.mailto_address || null,
+        timeout: window.NEWSLETTER_CONFIG?.transport_timeout || 10000,
+        mockDelay: window.NEWSLETTER_CONFIG?.mock_delay ?? 1000,
+        mockOutcome: window.NEWSLETTER_CONFIG?.mock_outcome || 'success'
       }
     };
     
+    // Submission transports, extensible per deployment through NEWSLETTER_CONFIG.custom_transports
+    this.transports = new NewsletterTransportRegistry();
+    this.offlineQueue = new NewsletterOfflineQueue();
+    this.encryptor = new NewsletterEncryptor(this.config.encryption);
+    this.i18n = new NewsletterI18n(this.config.i18n);
+    this.consent = new NewsletterConsentGate({
+      service: this.config.analytics.consentService,
+      required: this.config.analytics.consentRequired
+    });
+    this.t = this.i18n.t.bind(this.i18n);
+    this.emailValidator = new NewsletterEmailValidator({
+      ...this.config.validation,
+      translate: this.t
+    });
+    this.antiBot = new NewsletterAntiBot(this.config.antiBot);
+    this.archive = new NewsletterArchive({
+      feedUrl: window.NEWSLETTER_CONFIG?.archive_feed_url,
+      topicsUrl: window.NEWSLETTER_CONFIG?.archive_topics_url,
+      locale: this.i18n.locale,
+      translate: this.t,
+      onTopics: (topics) => this.addTopicLabels(topics)
+    });
+    this.lifecycle = new NewsletterSubscriptionLifecycle({
+      publicKey: this.config.confirmation.publicKey,
+      ttl: this.config.confirmation.ttl
+    });
+    Object.entries(window.NEWSLETTER_CONFIG?.custom_transports || {}).forEach(([name, transport]) => {
+      this.transports.register(name, transport);
+    });
+    
     // State management
     this.state = {
       isSubmitting: false,
       validationErrors: new Map(),
-      lastSubmissionTime: 0,
-      retryCount: 0
+      retryCount: 0,
+      pendingCount: 0,
+      requestedAction: null,
+      preferencesAuth: null,
+      shownSuggestion: null,
+      isReplaying: false,
+      currentStep: 0
     };
     
     // Debounced validation functions
@@ -47,11 +798,20 @@ class NewsletterManager {
   }
   
   init() {
+    // Confirmation landing page: verify the token instead of handling the form
+    this.confirmationContainer = document.getElementById('newsletter-confirmation');
+    if (this.confirmationContainer) {
+      this.setupConfirmationPage();
+      return;
+    }
+    
     if (!this.form) {
       console.warn('Newsletter form not found');
       return;
     }
     
+    this.lifecycle.expireStale();
+    
     // Progressive enhancement check
     if (!this.config.ui.progressiveEnhancement) {
       this.form.setAttribute('method', 'post');
@@ -60,8 +820,25 @@ class NewsletterManager {
     }
     
     this.setupEventListeners();
+    this.antiBot.attach(this.form);
     this.setupValidation();
+    this.emailValidator.loadLists();
     this.setupAccessibility();
+    this.setupOfflineQueue();
+    
+    this.setupArchive();
+    // Topic labels for the issue body, whether or not the archive is shown
+    this.archive.loadTopics().catch(error => console.warn('Newsletter topics unavailable:', error));
+    
+    // The wizard only splits the signup form; preferences stay on a single screen
+    if (this.config.ui.wizard && this.mode === 'subscribe') {
+      this.setupWizard();
+    }
+    this.restoreDraft();
+    
+    if (this.mode === 'preferences') {
+      this.setupPreferencesMode();
+    }
     this.trackEvent('newsletter_widget_loaded');
     
     // Initialize form state
@@ -79,159 +856,823 @@ class NewsletterManager {
       }
     });
     
-    // Handle browser back/forward
+    // Keep answers across back/forward navigation
+    this.form.addEventListener('input', () => this.saveDraft());
+    this.form.addEventListener('change', () => this.saveDraft());
+    
     window.addEventListener('pageshow', (e) => {
       if (e.persisted) {
-        this.resetForm();
+        this.state.isSubmitting = false;
+        this.setLoading(false);
+        if (!this.restoreDraft()) {
+          this.resetForm();
+        }
       }
     });
     
     // Handle network status changes
     window.addEventListener('online', () => {
-      this.showMessage('Connexion rétablie. Vous pouvez réessayer.', 'success');
+      if (this.state.pendingCount > 0 && this.getBackgroundTransports().length > 0) {
+        this.replayOfflineQueue({ background: true });
+      } else {
+        this.renderPendingIndicator();
+        this.showMessage('network.online', 'success');
+      }
     });
     
     window.addEventListener('offline', () => {
-      this.showMessage('Connexion perdue. Vérifiez votre connexion internet.', 'error');
+      this.showMessage('network.offline', 'error');
+      if (this.state.pendingCount > 0) {
+        this.renderPendingIndicator();
+      }
+    });
+  }
+  
+  setupValidation() {
+    const emailInput = document.getElementById('newsletter-email');
+    const frequencySelect = document.getElementById('newsletter-frequency');
+    const consentCheckbox = document.getElementById('newsletter-consent');
+    
+    if (emailInput) {
+      // Real-time validation with debouncing
+      if (this.config.validation.realTimeValidation) {
+        emailInput.addEventListener('input', () => {
+          this.clearFieldError(document.getElementById('email-error'));
+          this.state.shownSuggestion = null;
+          this.debouncedValidateEmail();
+        });
+      }
+      
+      emailInput.addEventListener('blur', () => this.validateEmail());
+      emailInput.addEventListener('focus', () => this.trackEvent('email_field_focused'));
+    }
+    
+    if (frequencySelect) {
+      frequencySelect.addEventListener('change', () => {
+        this.validateFrequency();
+        this.trackEvent('frequency_selected', { frequency: frequencySelect.value });
+      });
+    }
+    
+    if (consentCheckbox) {
+      consentCheckbox.addEventListener('change', () => {
+        this.validateConsent();
+        this.trackEvent('consent_toggled', { consented: consentCheckbox.checked });
+      });
+    }
+    
+    // Topic checkboxes
+    const topicCheckboxes = document.querySelectorAll('input[name="topics"]');
+    topicCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.trackEvent('topic_selected', { 
+          topic: checkbox.value, 
+          selected: checkbox.checked 
+        });
+      });
+    });
+  }
+  
+  setupAccessibility() {
+    // Add ARIA attributes
+    this.form.setAttribute('novalidate', ''); // We handle validation
+    
+    const emailInput = document.getElementById('newsletter-email');
+    const emailError = document.getElementById('email-error');
+    
+    if (emailInput && emailError) {
+      emailInput.setAttribute('aria-describedby', 'email-error');
+      emailError.setAttribute('role', 'alert');
+      emailError.setAttribute('aria-live', 'polite');
+    }
+    
+    // Add screen reader announcements
+    this.messageContainer.setAttribute('role', 'status');
+    this.messageContainer.setAttribute('aria-live', 'polite');
+  }
+  
+  validateEmail() {
+    const emailInput = document.getElementById('newsletter-email');
+    const errorContainer = document.getElementById('email-error');
+    
+    if (!emailInput || !errorContainer) return false;
+    
+    const result = this.emailValidator.validate(emailInput.value);
+    
+    if (!result.valid) {
+      if (result.error.code === 'suggestion') {
+        this.showSuggestion(errorContainer, result.error);
+      } else {
+        this.state.shownSuggestion = null;
+        this.showFieldError(errorContainer, result.error.message);
+      }
+      this.state.validationErrors.set('email', result.error.code);
+      return false;
+    }
+    
+    this.state.shownSuggestion = null;
+    if (result.warning) {
+      this.showFieldWarning(errorContainer, result.warning.message);
+    } else {
+      this.clearFieldError(errorContainer);
+    }
+    this.state.validationErrors.delete('email');
+    return true;
+  }
+  
+  // Typo suggestion chip: accept the correction or keep the address as typed
+  showSuggestion(container, error) {
+    // Re-rendering on blur would swap the buttons out from under the pointer
+    if (this.state.shownSuggestion === error.suggestion) return;
+    this.state.shownSuggestion = error.suggestion;
+    
+    const emailInput = document.getElementById('newsletter-email');
+    const originalDomain = this.emailValidator.normalize(emailInput.value).split('@').pop().toLowerCase();
+    const suggestedDomain = error.suggestion.split('@').pop();
+    
+    this.showFieldError(container, error.message);
+    
+    const chip = document.createElement('span');
+    chip.className = 'suggestion-chip';
+    
+    const acceptButton = document.createElement('button');
+    acceptButton.type = 'button';
+    acceptButton.className = 'suggestion-accept';
+    acceptButton.textContent = this.t('suggestion.accept', { suggestion: error.suggestion });
+    
+    const keepButton = document.createElement('button');
+    keepButton.type = 'button';
+    keepButton.className = 'suggestion-keep';
+    keepButton.textContent = this.t('suggestion.keep');
+    
+    chip.append(acceptButton, keepButton);
+    container.append(' ', chip);
+    
+    // Keep focus in the input so the click is not preceded by a blur re-validation
+    [acceptButton, keepButton].forEach(button => {
+      button.addEventListener('mousedown', (e) => e.preventDefault());
+    });
+    
+    acceptButton.addEventListener('click', () => {
+      emailInput.value = error.suggestion;
+      this.state.shownSuggestion = null;
+      this.trackEvent('email_suggestion_accepted', {
+        original_domain: originalDomain,
+        suggested_domain: suggestedDomain
+      });
+      this.validateEmail();
+      this.updateSubmitButtonState();
+      emailInput.focus();
+    });
+    
+    keepButton.addEventListener('click', () => {
+      this.emailValidator.acceptDomain(originalDomain);
+      this.state.shownSuggestion = null;
+      this.trackEvent('email_suggestion_rejected', {
+        original_domain: originalDomain,
+        suggested_domain: suggestedDomain
+      });
+      this.validateEmail();
+      this.updateSubmitButtonState();
+      emailInput.focus();
+    });
+    
+    this.trackEvent('email_suggestion_shown', {
+      original_domain: originalDomain,
+      suggested_domain: suggestedDomain
+    });
+  }
+  
+  validateFrequency() {
+    const frequencySelect = document.getElementById('newsletter-frequency');
+    if (!frequencySelect) return false;
+    
+    const frequency = frequencySelect.value;
+    if (!frequency) {
+      this.state.validationErrors.set('frequency', 'required');
+      return false;
+    }
+    
+    this.state.validationErrors.delete('frequency');
+    return true;
+  }
+  
+  validateConsent() {
+    const consentCheckbox = document.getElementById('newsletter-consent');
+    if (!consentCheckbox) return false;
+    
+    const isValid = consentCheckbox.checked;
+    if (!isValid) {
+      this.state.validationErrors.set('consent', 'required');
+    } else {
+      this.state.validationErrors.delete('consent');
+    }
+    
+    return isValid;
+  }
+  
+  // Confirmation landing page
+  async setupConfirmationPage() {
+    const { TOKEN_ISSUED, CONFIRMED, EXPIRED } = NewsletterSubscriptionLifecycle.STATUS;
+    
+    this.lifecycle.expireStale();
+    this.renderConfirmationState('verifying');
+    
+    // Without the key every link would fail as "unsupported browser": blame the site instead
+    if (!this.lifecycle.publicKey) {
+      console.error('Newsletter: NEWSLETTER_CONFIG.confirmation_public_key is not set (js/newsletter-config.js), no confirmation link can be verified');
+      this.renderConfirmationState('misconfigured');
+      this.trackEvent('newsletter_confirmation_failed', { reason: 'misconfigured' });
+      return;
+    }
+    
+    const token = NewsletterSubscriptionLifecycle.readTokenFromLocation();
+    
+    let verification;
+    try {
+      verification = await this.lifecycle.verifyToken(token);
+    } catch (error) {
+      console.warn('Confirmation token verification failed:', error);
+      verification = { valid: false, reason: 'signature' };
+    }
+    
+    // Keep the token out of the browser history once it has been read
+    if (token && window.history?.replaceState) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    
+    if (!verification.valid) {
+      if (verification.reason === 'expired') {
+        this.safeTransition(verification.payload.sid, EXPIRED);
+      }
+      
+      this.renderConfirmationState(verification.reason);
+      this.trackEvent('newsletter_confirmation_failed', { reason: verification.reason });
+      return;
+    }
+    
+    const { sid, exp } = verification.payload;
+    if (this.lifecycle.get(sid)?.status === CONFIRMED) {
+      this.renderConfirmationState('confirmed');
+      return;
+    }
+    
+    this.safeTransition(sid, TOKEN_ISSUED, { expiresAt: new Date(exp * 1000).toISOString() });
+    this.pendingConfirmation = { token, sid };
+    this.renderConfirmationState('verified');
+    this.trackEvent('newsletter_confirmation_verified');
+  }
+  
+  async confirmSubscription() {
+    if (!this.pendingConfirmation || this.state.isSubmitting) return;
+    
+    const { token, sid } = this.pendingConfirmation;
+    this.state.isSubmitting = true;
+    this.renderConfirmationState('submitting');
+    
+    try {
+      const body = await NewsletterSubscriptionLifecycle.signBody(
+        token,
+        'confirm',
+        `### Subscription ID\n\n${sid}\n\nTimestamp: ${new Date().toISOString()}`
+      );
+      const result = await this.submitWithFallback({
+        title: `[NEWSLETTER] Subscription Confirmed - ${sid}`,
+        body,
+        labels: ['newsletter-confirmation', 'automated'],
+        fields: { subscriptionId: sid }
+      });
+      
+      if (!result.success) {
+        throw result.error;
+      }
+      
+      this.safeTransition(sid, NewsletterSubscriptionLifecycle.STATUS.CONFIRMED);
+      this.pendingConfirmation = null;
+      this.renderConfirmationState('confirmed');
+      this.trackEvent('newsletter_confirmation_success', { transport: result.transport });
+    } catch (error) {
+      console.error('Newsletter confirmation error:', error);
+      this.renderConfirmationState('submit_failed');
+      this.trackEvent('newsletter_confirmation_failed', {
+        reason: 'submit_failed',
+        error_message: error?.message
+      });
+    } finally {
+      this.state.isSubmitting = false;
+    }
+  }
+  
+  // Records may not exist locally when the link is opened on another device
+  safeTransition(id, status, changes = {}) {
+    if (!id || this.lifecycle.get(id)?.status === status) return;
+    
+    try {
+      this.lifecycle.transition(id, status, changes);
+    } catch (error) {
+      console.warn('Newsletter lifecycle update skipped:', error.message);
+    }
+  }
+  
+  renderConfirmationState(state) {
+    const messageKeys = {
+      verifying: 'confirmation.verifying',
+      verified: 'confirmation.verified',
+      submitting: 'confirmation.submitting',
+      confirmed: 'confirmation.confirmed',
+      expired: 'confirmation.expired',
+      missing: 'confirmation.missing',
+      malformed: 'confirmation.invalid',
+      signature: 'confirmation.invalid',
+      unsupported: 'confirmation.unsupported',
+      misconfigured: 'confirmation.misconfigured',
+      submit_failed: 'confirmation.submit_failed'
+    };
+    
+    const container = this.confirmationContainer;
+    container.dataset.state = state;
+    
+    const message = container.querySelector('.confirmation-message');
+    if (message) {
+      message.textContent = this.t(messageKeys[state] || messageKeys.malformed);
+      message.setAttribute('role', 'status');
+      message.setAttribute('aria-live', 'polite');
+    }
+    
+    const button = container.querySelector('.confirmation-submit');
+    if (button) {
+      if (!button.dataset.bound) {
+        button.addEventListener('click', () => this.confirmSubscription());
+        button.dataset.bound = 'true';
+      }
+      button.hidden = !['verified', 'submitting', 'submit_failed'].includes(state);
+      button.disabled = state === 'submitting';
+    }
+  }
+  
+  // Preferences and unsubscribe mode
+  async setupPreferencesMode() {
+    // Manage links may also carry the address: newsletter-preferences.html#token=...&email=...
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const email = params.get('email') || new URLSearchParams(window.location.search).get('email');
+    const emailInput = document.getElementById('newsletter-email');
+    
+    if (email && emailInput && !emailInput.value) {
+      emailInput.value = email;
+      this.updateSubmitButtonState();
+    }
+    
+    // Fallback for browsers without SubmitEvent.submitter
+    const unsubscribeButton = document.getElementById('newsletter-unsubscribe');
+    if (unsubscribeButton) {
+      unsubscribeButton.addEventListener('click', () => {
+        this.state.requestedAction = 'unsubscribe';
+      });
+    }
+    
+    // Changes need the manage link from a newsletter (tools/newsletter-token.js manage), not just an address
+    const token = NewsletterSubscriptionLifecycle.readTokenFromLocation();
+    
+    if (!this.lifecycle.publicKey) {
+      console.error('Newsletter: NEWSLETTER_CONFIG.confirmation_public_key is not set (js/newsletter-config.js), no manage link can be verified');
+      if (unsubscribeButton) {
+        unsubscribeButton.disabled = true;
+      }
+      this.showError('preferences.misconfigured');
+      this.updateSubmitButtonState();
+      this.trackEvent('newsletter_preferences_loaded', { authorized: false, reason: 'misconfigured' });
+      return;
+    }
+    
+    let verification;
+    try {
+      verification = await this.lifecycle.verifyToken(token, 'manage');
+    } catch (error) {
+      console.warn('Manage token verification failed:', error);
+      verification = { valid: false, reason: 'signature' };
+    }
+    
+    // Keep the token out of the browser history once it has been read
+    if (token && window.history?.replaceState) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    
+    if (verification.valid) {
+      this.state.preferencesAuth = { sid: verification.payload.sid, token };
+    } else {
+      if (unsubscribeButton) {
+        unsubscribeButton.disabled = true;
+      }
+      this.showError(verification.reason === 'expired' ? 'preferences.link_expired' : 'preferences.link_required');
+    }
+    
+    this.updateSubmitButtonState();
+    this.trackEvent('newsletter_preferences_loaded', { authorized: verification.valid });
+  }
+  
+  getSubmitAction(event) {
+    if (this.mode !== 'preferences') return 'subscribe';
+    
+    const requested = event?.submitter?.value || this.state.requestedAction;
+    this.state.requestedAction = null;
+    return requested === 'unsubscribe' ? 'unsubscribe' : 'update';
+  }
+  
+  showPreferencesSuccess(action) {
+    if (action === 'unsubscribe') {
+      this.form.reset();
+      this.updateSubmitButtonState();
+      this.showMessage('preferences.unsubscribed', 'success');
+    } else {
+      this.showMessage('preferences.updated', 'success');
+    }
+  }
+  
+  // Multi-step wizard: email, then preferences, then consent review
+  setupWizard() {
+    const group = (element) => element?.closest('.form-group, .fr-fieldset__element') || null;
+    const consentGroup = group(document.getElementById('newsletter-consent'));
+    
+    this.wizardReview = document.createElement('dl');
+    this.wizardReview.className = 'newsletter-review';
+    consentGroup?.before(this.wizardReview);
+    
+    this.wizardSteps = [
+      {
+        name: 'email',
+        elements: [group(document.getElementById('newsletter-email'))],
+        validate: () => this.validateEmail()
+      },
+      {
+        name: 'preferences',
+        elements: [
+          group(document.getElementById('newsletter-frequency')),
+          this.archiveContainer?.closest('#newsletter-form') ? this.archiveContainer : null,
+          group(this.form.querySelector('input[name="topics"]'))
+        ],
+        validate: () => {
+          if (this.validateFrequency()) return true;
+          this.showError('validation.frequency_required');
+          return false;
+        }
+      },
+      {
+        name: 'review',
+        elements: [this.wizardReview, consentGroup, this.submitButton],
+        validate: () => this.validateConsent()
+      }
+    ].map(step => ({ ...step, elements: step.elements.filter(Boolean) }));
+    
+    // Progress indicator
+    this.wizardProgress = document.createElement('ol');
+    this.wizardProgress.className = 'newsletter-progress';
+    this.wizardSteps.forEach(step => {
+      const item = document.createElement('li');
+      item.textContent = this.t(`wizard.step.${step.name}`);
+      this.wizardProgress.appendChild(item);
     });
+    this.form.prepend(this.wizardProgress);
+    
+    // Back / next controls, placed where the submit button sits
+    const nav = document.createElement('div');
+    nav.className = 'newsletter-wizard-nav';
+    
+    this.wizardBack = document.createElement('button');
+    this.wizardBack.type = 'button';
+    this.wizardBack.className = 'newsletter-back';
+    this.wizardBack.textContent = this.t('wizard.back');
+    this.wizardBack.addEventListener('click', () => this.previousStep());
+    
+    this.wizardNext = document.createElement('button');
+    this.wizardNext.type = 'button';
+    this.wizardNext.className = 'newsletter-submit newsletter-next';
+    this.wizardNext.textContent = this.t('wizard.next');
+    this.wizardNext.addEventListener('click', () => this.nextStep());
+    
+    nav.append(this.wizardBack, this.wizardNext);
+    this.submitButton.before(nav);
+    
+    this.form.classList.add('newsletter-wizard');
+    this.showStep(0, { focus: false });
+  }
+  
+  isLastStep() {
+    return !this.wizardSteps || this.state.currentStep === this.wizardSteps.length - 1;
+  }
+  
+  showStep(index, { focus = true } = {}) {
+    const last = this.wizardSteps.length - 1;
+    const current = Math.max(0, Math.min(index, last));
+    const step = this.wizardSteps[current];
+    this.state.currentStep = current;
+    
+    this.wizardSteps.forEach((wizardStep, i) => {
+      wizardStep.elements.forEach(element => {
+        element.hidden = i !== current;
+      });
+    });
+    
+    Array.from(this.wizardProgress.children).forEach((item, i) => {
+      item.classList.toggle('is-active', i === current);
+      item.classList.toggle('is-complete', i < current);
+      if (i === current) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+    this.wizardProgress.setAttribute('aria-label', this.t('wizard.progress', {
+      current: current + 1,
+      total: this.wizardSteps.length
+    }));
+    
+    this.wizardBack.hidden = current === 0;
+    this.wizardNext.hidden = current === last;
+    
+    if (step.name === 'review') {
+      this.renderReview();
+    }
+    
+    if (focus) {
+      step.elements.map(element => element.querySelector('input, select')).find(Boolean)?.focus();
+    }
+    
+    this.trackEvent('newsletter_step_viewed', { step: step.name });
+  }
+  
+  nextStep() {
+    if (!this.wizardSteps[this.state.currentStep].validate()) {
+      this.updateSubmitButtonState();
+      return false;
+    }
+    
+    this.clearMessage();
+    this.showStep(this.state.currentStep + 1);
+    this.saveDraft();
+    return true;
+  }
+  
+  previousStep() {
+    this.clearMessage();
+    this.showStep(this.state.currentStep - 1);
+    this.saveDraft();
+  }
+  
+  // Sends the visitor back to the first step still holding a validation error
+  showFirstInvalidStep() {
+    const fieldSteps = { email: 0, frequency: 1, consent: 2 };
+    const invalid = Array.from(this.state.validationErrors.keys())
+      .map(field => fieldSteps[field])
+      .filter(step => step !== undefined);
+    
+    if (invalid.length > 0) {
+      this.showStep(Math.min(...invalid));
+    }
+  }
+  
+  renderReview() {
+    const frequencySelect = document.getElementById('newsletter-frequency');
+    const topics = Array.from(this.form.querySelectorAll('input[name="topics"]:checked'))
+      .map(checkbox => this.getTopicLabel(checkbox.value));
+    
+    const rows = [
+      ['wizard.review.email', this.emailValidator.normalize(document.getElementById('newsletter-email')?.value || '')],
+      ['wizard.review.frequency', frequencySelect?.selectedOptions[0]?.textContent.trim() || ''],
+      ['wizard.review.topics', topics.length > 0 ? topics.join(', ') : this.t('wizard.review.no_topics')]
+    ];
+    
+    this.wizardReview.replaceChildren(...rows.flatMap(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = this.t(key);
+      const description = document.createElement('dd');
+      description.textContent = value;
+      return [term, description];
+    }));
+  }
+  
+  // Sample issues from atom.xml, shown next to the frequency select
+  setupArchive() {
+    const frequencySelect = document.getElementById('newsletter-frequency');
+    let container = document.getElementById('newsletter-archive');
+    
+    if (!container && this.config.ui.archive && frequencySelect) {
+      container = document.createElement('div');
+      container.id = 'newsletter-archive';
+      (frequencySelect.closest('.form-group') || frequencySelect).after(container);
+    }
+    if (!container) return;
+    
+    container.classList.add('newsletter-archive');
+    container.setAttribute('aria-live', 'polite');
+    this.archiveContainer = container;
+    
+    const refresh = () => this.renderArchive();
+    frequencySelect?.addEventListener('change', refresh);
+    this.form.querySelectorAll('input[name="topics"]').forEach(checkbox => {
+      checkbox.addEventListener('change', refresh);
+    });
+    
+    this.renderArchive();
+  }
+  
+  async renderArchive() {
+    if (!this.archiveContainer) return;
+    
+    try {
+      await this.archive.load();
+    } catch (error) {
+      console.warn('Newsletter archive unavailable:', error);
+      this.archiveContainer.textContent = this.t('archive.unavailable');
+      return;
+    }
+    
+    const frequency = document.getElementById('newsletter-frequency')?.value || 'Weekly';
+    const topics = Array.from(this.form.querySelectorAll('input[name="topics"]:checked')).map(cb => cb.value);
+    
+    // A new frequency or topic selection starts again from the latest issue
+    const issue = this.archive.render(this.archiveContainer, { frequency, topics, index: 0 });
+    this.trackEvent('newsletter_archive_previewed', {
+      frequency,
+      topics_count: topics.length,
+      entries_count: issue?.entries.length || 0
+    });
+  }
+  
+  // Draft answers, kept for the browser session so back/forward navigation does not lose them.
+  // Consent is deliberately left out: it has to be given again.
+  getDraftKey() {
+    return `newsletter-draft-${this.mode}`;
+  }
+  
+  saveDraft() {
+    const emailInput = document.getElementById('newsletter-email');
+    const frequencySelect = document.getElementById('newsletter-frequency');
+    
+    const draft = {
+      email: emailInput?.value || '',
+      frequency: frequencySelect?.value || '',
+      topics: Array.from(this.form.querySelectorAll('input[name="topics"]:checked')).map(cb => cb.value),
+      step: this.state.currentStep
+    };
+    
+    try {
+      sessionStorage.setItem(this.getDraftKey(), JSON.stringify(draft));
+    } catch (error) {
+      console.warn('Failed to save newsletter draft:', error);
+    }
+  }
+  
+  loadDraft() {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.getDraftKey()) || 'null');
+    } catch (error) {
+      console.warn('Failed to read newsletter draft:', error);
+      return null;
+    }
+  }
+  
+  clearDraft() {
+    try {
+      sessionStorage.removeItem(this.getDraftKey());
+    } catch (error) {
+      console.warn('Failed to clear newsletter draft:', error);
+    }
   }
   
-  setupValidation() {
+  restoreDraft() {
+    const draft = this.loadDraft();
+    if (!draft) return false;
+    
     const emailInput = document.getElementById('newsletter-email');
     const frequencySelect = document.getElementById('newsletter-frequency');
-    const consentCheckbox = document.getElementById('newsletter-consent');
     
-    if (emailInput) {
-      // Real-time validation with debouncing
-      if (this.config.validation.realTimeValidation) {
-        emailInput.addEventListener('input', () => {
-          this.clearFieldError('email-error');
-          this.debouncedValidateEmail();
-        });
-      }
-      
-      emailInput.addEventListener('blur', () => this.validateEmail());
-      emailInput.addEventListener('focus', () => this.trackEvent('email_field_focused'));
+    if (emailInput && draft.email) {
+      emailInput.value = draft.email;
     }
-    
-    if (frequencySelect) {
-      frequencySelect.addEventListener('change', () => {
-        this.validateFrequency();
-        this.trackEvent('frequency_selected', { frequency: frequencySelect.value });
-      });
+    if (frequencySelect && draft.frequency) {
+      frequencySelect.value = draft.frequency;
     }
+    this.form.querySelectorAll('input[name="topics"]').forEach(checkbox => {
+      checkbox.checked = (draft.topics || []).includes(checkbox.value);
+    });
     
-    if (consentCheckbox) {
-      consentCheckbox.addEventListener('change', () => {
-        this.validateConsent();
-        this.trackEvent('consent_toggled', { consented: consentCheckbox.checked });
-      });
+    if (this.wizardSteps) {
+      this.showStep(draft.step || 0, { focus: false });
     }
     
-    // Topic checkboxes
-    const topicCheckboxes = document.querySelectorAll('input[name="topics"]');
-    topicCheckboxes.forEach(checkbox => {
-      checkbox.addEventListener('change', () => {
-        this.trackEvent('topic_selected', { 
-          topic: checkbox.value, 
-          selected: checkbox.checked 
-        });
-      });
+    this.updateSubmitButtonState();
+    this.trackEvent('newsletter_draft_restored', { step: draft.step || 0 });
+    return true;
+  }
+  
+  // Offline queue
+  setupOfflineQueue() {
+    if (!this.offlineQueue.isSupported()) return;
+    
+    this.refreshPendingIndicator().then(() => {
+      // Popup and mailto transports wait for the retry button: without a click they are blocked
+      if (navigator.onLine && this.state.pendingCount > 0 && this.getBackgroundTransports().length > 0) {
+        this.replayOfflineQueue({ background: true });
+      }
     });
   }
   
-  setupAccessibility() {
-    // Add ARIA attributes
-    this.form.setAttribute('novalidate', ''); // We handle validation
-    
-    const emailInput = document.getElementById('newsletter-email');
-    const emailError = document.getElementById('email-error');
+  async queueOfflineSubmission(formData) {
+    // Prepared now, while the manage token is at hand, so the queue never stores it
+    const submission = await this.prepareSubmission(formData);
     
-    if (emailInput && emailError) {
-      emailInput.setAttribute('aria-describedby', 'email-error');
-      emailError.setAttribute('role', 'alert');
-      emailError.setAttribute('aria-live', 'polite');
+    try {
+      await this.offlineQueue.enqueue(submission, formData.email);
+    } catch (error) {
+      console.warn('Failed to queue offline submission:', error);
+      throw new Error('NETWORK_OFFLINE');
     }
     
-    // Add screen reader announcements
-    this.messageContainer.setAttribute('role', 'status');
-    this.messageContainer.setAttribute('aria-live', 'polite');
+    await this.refreshPendingIndicator();
+    this.showMessage('queue.saved', 'success');
+    this.trackEvent('newsletter_submit_queued', {
+      pending_count: this.state.pendingCount
+    });
   }
   
-  validateEmail() {
-    const emailInput = document.getElementById('newsletter-email');
-    const errorContainer = document.getElementById('email-error');
-    
-    if (!emailInput || !errorContainer) return false;
-    
-    const email = emailInput.value.trim();
-    
-    // Check if empty
-    if (!email) {
-      this.showFieldError(errorContainer, 'L\'adresse email est requise');
-      this.state.validationErrors.set('email', 'required');
-      return false;
-    }
-    
-    // Enhanced email validation
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    
-    if (!emailRegex.test(email)) {
-      this.showFieldError(errorContainer, 'Format d\'email invalide');
-      this.state.validationErrors.set('email', 'invalid_format');
-      return false;
+  async replayOfflineQueue(options = {}) {
+    if (this.state.isReplaying || !navigator.onLine || !this.offlineQueue.isSupported()) {
+      return;
     }
     
-    // Check for common typos
-    const commonDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'];
-    const domain = email.split('@')[1];
-    const suggestions = this.getSuggestions(domain, commonDomains);
+    this.state.isReplaying = true;
+    let sent = 0;
+    let failed = 0;
     
-    if (suggestions.length > 0) {
-      this.showFieldError(errorContainer, `Vouliez-vous dire ${suggestions[0]} ?`);
-      this.state.validationErrors.set('email', 'suggestion');
-      return false;
+    try {
+      const entries = await this.offlineQueue.getAll();
+      
+      for (const entry of entries) {
+        const result = await this.submitWithFallback(entry.submission, options);
+        
+        if (result.success) {
+          await this.offlineQueue.remove(entry.key);
+          if (entry.action === 'subscribe') {
+            this.lifecycle.createPending({ subscriptionId: entry.subscriptionId });
+          }
+          sent++;
+        } else {
+          entry.attempts++;
+          entry.lastError = result.error?.message || 'unknown';
+          await this.offlineQueue.update(entry);
+          failed++;
+        }
+      }
+    } catch (error) {
+      console.warn('Newsletter offline queue replay failed:', error);
+    } finally {
+      this.state.isReplaying = false;
+      await this.refreshPendingIndicator();
     }
     
-    // Check for disposable email domains (basic check)
-    const disposableDomains = ['10minutemail.com', 'tempmail.org', 'guerrillamail.com'];
-    if (disposableDomains.includes(domain.toLowerCase())) {
-      this.showFieldError(errorContainer, 'Les adresses email temporaires ne sont pas acceptées');
-      this.state.validationErrors.set('email', 'disposable');
-      return false;
+    if (failed > 0) {
+      this.showError('queue.failed');
+    } else if (sent > 0) {
+      this.showMessage('queue.sent', 'success', { count: sent });
     }
     
-    this.clearFieldError(errorContainer);
-    this.state.validationErrors.delete('email');
-    return true;
+    this.trackEvent('newsletter_queue_replayed', { sent, failed });
   }
   
-  validateFrequency() {
-    const frequencySelect = document.getElementById('newsletter-frequency');
-    if (!frequencySelect) return false;
-    
-    const frequency = frequencySelect.value;
-    if (!frequency) {
-      this.state.validationErrors.set('frequency', 'required');
-      return false;
+  async refreshPendingIndicator() {
+    try {
+      this.state.pendingCount = await this.offlineQueue.count();
+    } catch (error) {
+      console.warn('Failed to read offline queue:', error);
+      this.state.pendingCount = 0;
     }
     
-    this.state.validationErrors.delete('frequency');
-    return true;
+    this.renderPendingIndicator();
   }
   
-  validateConsent() {
-    const consentCheckbox = document.getElementById('newsletter-consent');
-    if (!consentCheckbox) return false;
+  renderPendingIndicator() {
+    let indicator = document.getElementById('newsletter-pending');
     
-    const isValid = consentCheckbox.checked;
-    if (!isValid) {
-      this.state.validationErrors.set('consent', 'required');
-    } else {
-      this.state.validationErrors.delete('consent');
+    if (!indicator) {
+      if (this.state.pendingCount === 0 || !this.messageContainer) return;
+      
+      indicator = document.createElement('div');
+      indicator.id = 'newsletter-pending';
+      indicator.className = 'newsletter-pending';
+      indicator.setAttribute('role', 'status');
+      indicator.setAttribute('aria-live', 'polite');
+      indicator.innerHTML = '<span class="pending-text"></span> <button type="button" class="pending-retry"></button>';
+      indicator.querySelector('.pending-retry').textContent = this.t('queue.retry');
+      
+      // A click is a user gesture, which lets transports such as the GitHub popup through
+      indicator.querySelector('.pending-retry').addEventListener('click', () => this.replayOfflineQueue());
+      this.messageContainer.insertAdjacentElement('afterend', indicator);
     }
     
-    return isValid;
+    const count = this.state.pendingCount;
+    indicator.querySelector('.pending-text').textContent = this.t('queue.pending', { count });
+    indicator.querySelector('.pending-retry').disabled = !navigator.onLine || this.state.isReplaying;
+    indicator.classList.toggle('show', count > 0);
   }
   
   // Utility methods
@@ -248,53 +1689,18 @@ class NewsletterManager {
   }
   
   getSuggestions(input, domains) {
-    const suggestions = [];
-    const inputLower = input.toLowerCase();
-    
-    for (const domain of domains) {
-      const distance = this.levenshteinDistance(inputLower, domain);
-      if (distance <= 2 && distance > 0) {
-        suggestions.push(domain);
-      }
-    }
-    
-    return suggestions.sort((a, b) => 
-      this.levenshteinDistance(inputLower, a) - this.levenshteinDistance(inputLower, b)
-    );
+    return this.emailValidator.getSuggestions(input, domains);
   }
   
   levenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
+    return NewsletterEmailValidator.levenshteinDistance(str1, str2);
   }
   
   showFieldError(container, message) {
     if (!container) return;
     
     container.textContent = message;
+    container.classList.remove('is-warning');
     container.classList.add('show');
     container.parentElement.classList.add('has-error');
     
@@ -309,11 +1715,21 @@ class NewsletterManager {
     }
   }
   
+  // Shown in the error slot, but neither blocks submission nor marks the field invalid
+  showFieldWarning(container, message) {
+    if (!container) return;
+    
+    container.textContent = message;
+    container.classList.add('show', 'is-warning');
+    container.parentElement.classList.remove('has-error');
+    container.setAttribute('aria-live', 'polite');
+  }
+  
   clearFieldError(container) {
     if (!container) return;
     
     container.textContent = '';
-    container.classList.remove('show');
+    container.classList.remove('show', 'is-warning');
     container.parentElement.classList.remove('has-error');
     container.setAttribute('aria-live', 'polite');
   }
@@ -327,39 +1743,85 @@ class NewsletterManager {
       return;
     }
     
-    // Rate limiting
+    // Enter on an intermediate wizard step moves forward instead of submitting
+    if (!this.isLastStep()) {
+      this.nextStep();
+      return;
+    }
+    
+    // Rate limiting, persisted per browser so a reload does not reset it
     const now = Date.now();
-    if (now - this.state.lastSubmissionTime < 5000) { // 5 second cooldown
-      this.showError('Veuillez attendre avant de soumettre à nouveau.');
+    const rateLimit = this.antiBot.checkRateLimit(now);
+    if (!rateLimit.allowed) {
+      if (rateLimit.reason === 'cooldown') {
+        this.showError('error.cooldown');
+      } else {
+        this.showError('error.rate_limit_local', { count: Math.ceil(rateLimit.retryAfter / 60000) });
+      }
+      this.trackEvent('newsletter_submit_blocked', { reason: rateLimit.reason });
       return;
     }
     
-    this.trackEvent('newsletter_submit_attempted');
+    const action = this.getSubmitAction(event);
+    this.trackEvent('newsletter_submit_attempted', { action });
+    
+    if (action !== 'subscribe' && !this.state.preferencesAuth) {
+      this.showError('preferences.link_required');
+      this.trackEvent('newsletter_submit_blocked', { reason: 'manage_token' });
+      return;
+    }
     
-    if (!this.validateForm()) {
+    if (!this.validateForm(action)) {
+      if (this.wizardSteps) {
+        this.showFirstInvalidStep();
+      }
       this.trackEvent('newsletter_submit_validation_failed', {
         errors: Array.from(this.state.validationErrors.keys())
       });
       return;
     }
     
+    const screening = this.antiBot.screen(this.form, now);
+    if (!screening.passed) {
+      // Bots get the generic failure; people who were merely quick can simply resubmit
+      this.showError(screening.reason === 'too_fast' ? 'error.too_fast' : 'error.generic');
+      this.trackEvent('newsletter_submit_blocked', { reason: screening.reason });
+      return;
+    }
+    
     this.state.isSubmitting = true;
-    this.state.lastSubmissionTime = now;
     this.setLoading(true);
     this.clearMessage();
     
+    // Proof of work and encryption outlast the click's user activation, so the window opens now
+    const submitContext = { window: navigator.onLine ? this.openSubmitWindow() : null };
+    
     try {
-      const formData = this.collectFormData();
+      const formData = await this.collectFormData(action);
       
-      // Check network connectivity
+      // Check network connectivity, keeping the signup for later when possible
       if (!navigator.onLine) {
-        throw new Error('NETWORK_OFFLINE');
+        if (!this.offlineQueue.isSupported()) {
+          throw new Error('NETWORK_OFFLINE');
+        }
+        
+        await this.queueOfflineSubmission(formData);
+        this.clearDraft();
+        return;
       }
       
-      await this.createGitHubIssue(formData);
+      const result = await this.createGitHubIssue(formData, submitContext);
+      this.antiBot.recordAttempt();
+      this.clearDraft();
       
-      this.showSuccess();
+      if (action === 'subscribe') {
+        this.showSuccess(this.lifecycle.createPending(formData));
+      } else {
+        this.showPreferencesSuccess(action);
+      }
       this.trackEvent('newsletter_submit_success', {
+        action,
+        transport: result.transport,
         frequency: formData.frequency,
         topics_count: formData.topics.length,
         retry_count: this.state.retryCount
@@ -368,50 +1830,77 @@ class NewsletterManager {
       // Reset retry count on success
       this.state.retryCount = 0;
       
+      // An earlier offline attempt for the same address is now redundant
+      if (this.state.pendingCount > 0) {
+        this.offlineQueue.removeFor(action, formData.email)
+          .then(() => this.refreshPendingIndicator())
+          .catch(error => console.warn('Failed to clean offline queue:', error));
+      }
+      
     } catch (error) {
       console.error('Newsletter subscription error:', error);
       this.handleSubmissionError(error);
     } finally {
+      if (submitContext.window && !submitContext.windowUsed) {
+        submitContext.window.close();
+      }
       this.state.isSubmitting = false;
       this.setLoading(false);
     }
   }
   
+  // Blank window for the GitHub transport, filled in once the issue is ready
+  openSubmitWindow() {
+    const [first] = this.transports.resolveOrder(this.getTransportConfig());
+    if (first !== 'github') return null;
+    
+    const popup = window.open('', '_blank');
+    if (popup) {
+      popup.opener = null;
+    }
+    return popup;
+  }
+  
   handleSubmissionError(error) {
     this.state.retryCount++;
     
-    let errorMessage = 'Une erreur est survenue lors de l\'inscription.';
     let errorType = 'unknown';
     
     if (error.message === 'NETWORK_OFFLINE') {
-      errorMessage = 'Connexion internet requise. Vérifiez votre connexion.';
-      errorType = 'network';
+      errorType = 'offline';
     } else if (error.message === 'RATE_LIMITED') {
-      errorMessage = 'Trop de tentatives. Veuillez attendre avant de réessayer.';
       errorType = 'rate_limit';
     } else if (error.message === 'VALIDATION_ERROR') {
-      errorMessage = 'Données invalides. Vérifiez vos informations.';
       errorType = 'validation';
+    } else if (error.message === 'POPUP_BLOCKED') {
+      errorType = 'popup_blocked';
+    } else if (error.message === 'ENCRYPTION_UNAVAILABLE') {
+      errorType = 'encryption';
+    } else if (error.message === 'NO_TRANSPORT') {
+      errorType = 'configuration';
+    } else if (error.message === 'CHALLENGE_FAILED' || error.message === 'CHALLENGE_TIMEOUT') {
+      errorType = 'challenge';
     } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      errorMessage = 'Erreur de connexion. Vérifiez votre connexion internet.';
       errorType = 'network';
     }
     
+    let errorMessage = this.t(errorType === 'unknown' ? 'error.generic' : `error.${errorType}`);
+    
     // Add retry suggestion for certain errors
     if (this.state.retryCount < 3 && ['network', 'unknown'].includes(errorType)) {
-      errorMessage += ' Veuillez réessayer.';
+      errorMessage += ` ${this.t('error.retry')}`;
     }
     
     this.showError(errorMessage);
     
     this.trackEvent('newsletter_submit_failed', {
-      error_type: errorType,
+      error_type: errorType === 'offline' ? 'network' : errorType,
       error_message: error.message,
       retry_count: this.state.retryCount
     });
   }
   
-  validateForm() {
+  validateForm(action = 'subscribe') {
     let isValid = true;
     const errors = [];
     
@@ -421,16 +1910,24 @@ class NewsletterManager {
       errors.push('email');
     }
     
+    // Unsubscribing only needs the address
+    if (action === 'unsubscribe') {
+      this.state.validationErrors.delete('frequency');
+      this.state.validationErrors.delete('consent');
+      this.updateSubmitButtonState();
+      return isValid;
+    }
+    
     // Validate frequency
     if (!this.validateFrequency()) {
-      this.showError('Veuillez sélectionner une fréquence de newsletter');
+      this.showError('validation.frequency_required');
       isValid = false;
       errors.push('frequency');
     }
     
-    // Validate consent
-    if (!this.validateConsent()) {
-      this.showError('Vous devez accepter les conditions pour vous abonner');
+    // Validate consent (already given by existing subscribers)
+    if (action === 'subscribe' && !this.validateConsent()) {
+      this.showError('validation.consent_required');
       isValid = false;
       errors.push('consent');
     }
@@ -453,13 +1950,15 @@ class NewsletterManager {
     const submitText = this.submitButton.querySelector('.submit-text');
     if (submitText) {
       if (this.state.isSubmitting) {
-        submitText.textContent = 'Traitement...';
+        submitText.textContent = this.t('button.processing');
       } else if (hasErrors) {
-        submitText.textContent = 'Corriger les erreurs';
+        submitText.textContent = this.t('button.fix_errors');
       } else if (!isFormComplete) {
-        submitText.textContent = 'Compléter le formulaire';
+        submitText.textContent = this.t('button.complete_form');
+      } else if (this.mode === 'preferences') {
+        submitText.textContent = this.t('button.update');
       } else {
-        submitText.textContent = 'S\'abonner';
+        submitText.textContent = this.t('button.subscribe');
       }
     }
   }
@@ -469,6 +1968,10 @@ class NewsletterManager {
     const frequencySelect = document.getElementById('newsletter-frequency');
     const consentCheckbox = document.getElementById('newsletter-consent');
     
+    if (this.mode === 'preferences') {
+      return this.state.preferencesAuth && emailInput?.value.trim() && frequencySelect?.value;
+    }
+    
     return emailInput?.value.trim() && 
            frequencySelect?.value && 
            consentCheckbox?.checked;
@@ -478,10 +1981,16 @@ class NewsletterManager {
   trackEvent(eventName, parameters = {}) {
     if (!this.config.analytics.enabled) return;
     
+    // Held until the visitor answers the cookie banner, dropped if they refuse
+    this.consent.track(() => this.sendAnalyticsEvent(eventName, parameters));
+  }
+  
+  sendAnalyticsEvent(eventName, parameters) {
     try {
-      // Google Analytics 4
-      if (this.config.analytics.gtag) {
-        this.config.analytics.gtag('event', eventName, {
+      // Google Analytics 4 (tarteaucitron only defines gtag once the service is allowed)
+      const gtag = this.config.analytics.gtag || window.gtag;
+      if (gtag) {
+        gtag('event', eventName, {
           event_category: 'newsletter',
           ...parameters
         });
@@ -501,123 +2010,295 @@ class NewsletterManager {
     }
   }
   
-  collectFormData() {
-    const email = document.getElementById('newsletter-email').value.trim();
+  async collectFormData(action = 'subscribe') {
+    const email = this.emailValidator.normalize(document.getElementById('newsletter-email').value);
     const frequency = document.getElementById('newsletter-frequency').value;
     
     // Collect selected topics
     const topicCheckboxes = document.querySelectorAll('input[name="topics"]:checked');
     const topics = Array.from(topicCheckboxes).map(cb => cb.value);
     
+    // Preference changes act on the subscription named by the manage token
+    const auth = action === 'subscribe' ? null : this.state.preferencesAuth;
+    
     return {
+      action,
       email,
       frequency,
       topics,
       format: 'HTML (Rich formatting)', // Default to HTML
-      timestamp: new Date().toISOString()
+      subscriptionId: auth ? auth.sid : NewsletterSubscriptionLifecycle.generateId(),
+      timestamp: new Date().toISOString(),
+      proofOfWork: await this.antiBot.solve(email),
+      auth
     };
   }
   
-  async createGitHubIssue(formData) {
-    // Since we can't use GitHub API directly from client-side without exposing tokens,
-    // we'll create a GitHub issue URL and redirect the user to it
-    // Alternatively, this could be sent to a backend endpoint
+  async createGitHubIssue(formData, context = {}) {
+    const submission = await this.prepareSubmission(formData);
     
-    const issueTitle = `[NEWSLETTER] Subscription Request - ${formData.email}`;
-    const issueBody = this.generateIssueBody(formData);
-    console.log('Generated GitHub issue body:', issueBody);
-    // Method 1: Redirect to GitHub issue creation (more secure)
-    if (true) {
-      const githubUrl = this.generateGitHubIssueUrl(issueTitle, issueBody);
-      window.open(githubUrl, '_blank');
-      return;
+    const result = await this.submitWithFallback(submission, context);
+    if (!result.success) {
+      throw result.error;
     }
     
-    // Method 2: Use a backend endpoint (recommended for production)
-    if (window.NEWSLETTER_CONFIG?.api_endpoint) {
-      const response = await fetch(window.NEWSLETTER_CONFIG.api_endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          title: issueTitle,
-          body: issueBody,
-          labels: ['newsletter-subscription', 'automated']
-        })
-      });
+    return result;
+  }
+  
+  // Encrypts personal data first when a public key is configured, then signs preference changes
+  async prepareSubmission(formData) {
+    const { auth, ...fields } = this.encryptor.isEnabled()
+      ? await this.encryptor.protect(formData)
+      : { ...formData, emailHash: await this.hashForTitle(formData.email) };
+    const submission = this.buildSubmission(fields);
+    
+    if (auth) {
+      submission.body = await NewsletterSubscriptionLifecycle.signBody(auth.token, fields.action, submission.body);
+    }
+    return submission;
+  }
+  
+  // Issue titles show up in notifications and search even when the body is not encrypted
+  async hashForTitle(email) {
+    if (!this.encryptor.canHash()) return null;
+    
+    try {
+      return await this.encryptor.hashEmail(email);
+    } catch (error) {
+      console.warn('Email hashing failed:', error);
+      return null;
+    }
+  }
+  
+  buildSubmission(formData) {
+    const action = formData.action || 'subscribe';
+    const types = {
+      subscribe: { title: 'Subscription Request', label: 'newsletter-subscription', template: 'newsletter_subscription.yml' },
+      update: { title: 'Preference Update', label: 'newsletter-preferences', template: null },
+      unsubscribe: { title: 'Unsubscribe Request', label: 'newsletter-unsubscribe', template: null }
+    };
+    const type = types[action] || types.subscribe;
+    
+    let body;
+    if (formData.encrypted) {
+      body = this.generateEncryptedIssueBody(formData);
+    } else if (action === 'subscribe') {
+      body = this.generateIssueBody(formData);
+    } else {
+      body = this.generatePreferencesIssueBody(formData);
+    }
+    
+    return {
+      // Titles identify the subscriber by hash prefix only, never by address
+      title: `[NEWSLETTER] ${type.title} - ${formData.emailHash ? formData.emailHash.slice(0, 16) : formData.subscriptionId}`,
+      body,
+      labels: [type.label, 'automated'],
+      template: type.template,
+      fields: formData
+    };
+  }
+  
+  getTransportConfig() {
+    return {
+      ...this.config.transport,
+      github: this.config.github
+    };
+  }
+  
+  // Transports usable without a user gesture, e.g. for an automatic replay
+  getBackgroundTransports() {
+    return this.transports.resolveOrder(this.getTransportConfig())
+      .filter(name => !this.transports.isInteractive(name));
+  }
+  
+  // Try each configured transport in order until one succeeds
+  async submitWithFallback(submission, options = {}) {
+    const transportConfig = this.getTransportConfig();
+    const order = options.background
+      ? this.getBackgroundTransports()
+      : this.transports.resolveOrder(transportConfig);
+    
+    if (order.length === 0) {
+      return { success: false, transport: null, error: new Error('NO_TRANSPORT') };
+    }
+    
+    let lastResult = null;
+    for (const name of order) {
+      const result = await this.transports.send(name, submission, transportConfig, options);
       
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (result.success) {
+        this.trackEvent('newsletter_transport_success', { transport: name });
+        return result;
       }
       
-      return await response.json();
+      console.warn(`Newsletter transport "${name}" failed:`, result.error);
+      this.trackEvent('newsletter_transport_failed', {
+        transport: name,
+        error_message: result.error?.message
+      });
+      lastResult = result;
     }
     
-    // Method 3: Simulate success for demo purposes
-    console.log('Newsletter subscription data:', formData);
-    console.log('Generated issue body:', issueBody);
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    return { success: true, message: 'Subscription processed' };
+    return lastResult;
+  }
+  
+  // Issue bodies are read by maintainers and parsers, so they use the issue locale
+  issueText(key, params = {}) {
+    return this.i18n.t(key, params, this.config.i18n.issueLocale);
   }
   
   generateIssueBody(formData) {
-    const topicsList = formData.topics.length > 0 
-      ? formData.topics.map(topic => `- [x] ${this.getTopicLabel(topic)}`).join('\\n')
-      : '- [ ] Aucun sujet spécifique sélectionné';
+    const topicsList = this.formatTopicsList(formData.topics);
     
-    return `### Email Address
+    return `### ${this.issueText('issue.email_address')}
 
 ${formData.email}
 
-### Newsletter Frequency
+### ${this.issueText('issue.frequency')}
 
 ${formData.frequency}
 
-### Topics of Interest
+### ${this.issueText('issue.topics')}
 
 ${topicsList}
 
-### Email Format
+### ${this.issueText('issue.format')}
 
 ${formData.format}
 
-### Consent & Privacy
+${this.generateConsentSection()}
+
+### ${this.issueText('issue.subscription_id')}
 
-- [x] I consent to receiving newsletters at the provided email address
-- [x] I understand that my email will be encrypted and stored securely
-- [x] I understand I can unsubscribe at any time
+${formData.subscriptionId}
 
-### Additional Information (Optional)
+### ${this.issueText('issue.additional_info')}
 
-Subscription automatique via le formulaire du site web.
-Timestamp: ${formData.timestamp}`;
+${this.issueText('issue.note.subscribe')}
+${this.generateMetadata(formData)}`;
   }
   
-  getTopicLabel(value) {
-    const labels = {
-      'development': 'Development & Programming',
-      'portfolio': 'Portfolio Updates',
-      'articles': 'Technical Articles',
-      'projects': 'Project Announcements',
-      'industry': 'Industry News & Insights'
-    };
-    return labels[value] || value;
+  generatePreferencesIssueBody(formData) {
+    if (formData.action === 'unsubscribe') {
+      return `### ${this.issueText('issue.email_address')}
+
+${formData.email}
+
+### ${this.issueText('issue.request_type')}
+
+${this.issueText('issue.request.unsubscribe')}
+
+### ${this.issueText('issue.subscription_id')}
+
+${formData.subscriptionId}
+
+### ${this.issueText('issue.additional_info')}
+
+${this.issueText('issue.note.unsubscribe')}
+${this.generateMetadata(formData)}`;
+    }
+    
+    return `### ${this.issueText('issue.email_address')}
+
+${formData.email}
+
+### ${this.issueText('issue.request_type')}
+
+${this.issueText('issue.request.update')}
+
+### ${this.issueText('issue.frequency')}
+
+${formData.frequency}
+
+### ${this.issueText('issue.topics')}
+
+${this.formatTopicsList(formData.topics)}
+
+### ${this.issueText('issue.format')}
+
+${formData.format}
+
+### ${this.issueText('issue.subscription_id')}
+
+${formData.subscriptionId}
+
+### ${this.issueText('issue.additional_info')}
+
+${this.issueText('issue.note.update')}
+${this.generateMetadata(formData)}`;
+  }
+  
+  generateEncryptedIssueBody(formData) {
+    const action = ['subscribe', 'update', 'unsubscribe'].includes(formData.action) ? formData.action : 'subscribe';
+    const hashSection = formData.emailHash
+      ? `### ${this.issueText('issue.email_hash')}\n\n${formData.emailHash}\n\n`
+      : '';
+    
+    return `${hashSection}### ${this.issueText('issue.request_type')}
+
+${this.issueText(`issue.request.${action}`)}
+
+### ${this.issueText('issue.encrypted_payload')}
+
+\`\`\`
+${formData.ciphertext}
+\`\`\`
+
+${this.generateConsentSection()}
+
+### ${this.issueText('issue.subscription_id')}
+
+${formData.subscriptionId}
+
+### ${this.issueText('issue.additional_info')}
+
+${this.issueText('issue.note.encrypted', { algorithm: NewsletterEncryptor.ALGORITHM })}
+${this.generateMetadata(formData)}`;
+  }
+  
+  generateMetadata(formData) {
+    const lines = [`Timestamp: ${formData.timestamp}`];
+    if (formData.proofOfWork) {
+      lines.push(`Proof-of-work: ${formData.proofOfWork}`);
+    }
+    return lines.join('\n');
+  }
+  
+  generateConsentSection() {
+    return `### ${this.issueText('issue.consent')}
+
+- [x] ${this.issueText('issue.consent_receive')}
+- [x] ${this.issueText('issue.consent_encrypted')}
+- [x] ${this.issueText('issue.consent_unsubscribe')}`;
+  }
+  
+  formatTopicsList(topics) {
+    return topics.length > 0 
+      ? topics.map(topic => `- [x] ${this.getTopicLabel(topic, this.config.i18n.issueLocale)}`).join('\n')
+      : `- [ ] ${this.issueText('issue.no_topics')}`;
+  }
+  
+  // Topic labels live in js/newsletter-topics.json, shared with tools/newsletter-digest.js
+  addTopicLabels(topics) {
+    Object.entries(topics).forEach(([topic, { labels = {} }]) => {
+      Object.entries(labels).forEach(([locale, label]) => {
+        this.i18n.addMessages(locale, { [`topic.${topic}`]: label });
+      });
+    });
+  }
+  
+  getTopicLabel(value, locale = this.i18n.locale) {
+    const key = `topic.${value}`;
+    return this.i18n.has(key) ? this.i18n.t(key, {}, locale) : value;
   }
   
   generateGitHubIssueUrl(title, body) {
-    const baseUrl = `https://github.com/${this.githubConfig.owner}/${this.githubConfig.repo}/issues/new`;
-    const params = new URLSearchParams({
-      template: 'newsletter_subscription.yml',
-      title: title,
-      body: body,
-      labels: 'newsletter-subscription,automated'
+    return NewsletterTransportRegistry.buildGitHubIssueUrl(this.config.github, {
+      title,
+      body,
+      labels: ['newsletter-subscription', 'automated'],
+      template: 'newsletter_subscription.yml'
     });
-    
-    return `${baseUrl}?${params.toString()}`;
   }
   
   setLoading(loading) {
@@ -637,12 +2318,32 @@ Timestamp: ${formData.timestamp}`;
     }
   }
   
-  showSuccess() {
-    if (!this.successContainer) return;
+  showSuccess(record = null) {
+    // The subscription only counts once the emailed confirmation link is followed
+    const pendingText = record
+      ? this.t('success.pending_confirmation_email', { email: record.email })
+      : null;
+    
+    if (!this.successContainer) {
+      if (pendingText) {
+        this.showMessage('success.pending_confirmation', 'success');
+      }
+      return;
+    }
     
     this.form.style.display = 'none';
     this.successContainer.style.display = 'block';
     
+    if (pendingText) {
+      let status = this.successContainer.querySelector('.newsletter-status');
+      if (!status) {
+        status = document.createElement('p');
+        status.className = 'newsletter-status';
+        this.successContainer.appendChild(status);
+      }
+      status.textContent = pendingText;
+    }
+    
     // Add animation class
     if (this.config.ui.animationsEnabled) {
       this.successContainer.classList.add('show');
@@ -669,17 +2370,22 @@ Timestamp: ${formData.timestamp}`;
     }
   }
   
-  showError(message) {
-    this.showMessage(message, 'error');
+  showError(message, params = {}) {
+    this.showMessage(message, 'error', params);
   }
   
-  showMessage(message, type = 'error') {
+  showMessage(message, type = 'error', params = {}) {
     if (!this.messageContainer) return;
     
     const className = type === 'error' ? 'error-message' : 'success-message';
     const icon = type === 'error' ? '❌' : '✅';
+    const text = this.i18n.has(message) ? this.t(message, params) : message;
     
-    this.messageContainer.innerHTML = `<div class="${className}">${icon} ${message}</div>`;
+    // Built with textContent so interpolated values (emails) are never parsed as markup
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = `${icon} ${text}`;
+    this.messageContainer.replaceChildren(element);
     this.messageContainer.classList.add('show');
     
     // Announce to screen readers
@@ -713,12 +2419,16 @@ Timestamp: ${formData.timestamp}`;
     this.state.validationErrors.clear();
     this.state.isSubmitting = false;
     this.state.retryCount = 0;
+    this.state.shownSuggestion = null;
     
     // Clear all error messages
     const errorContainers = this.form.querySelectorAll('.form-error');
     errorContainers.forEach(container => this.clearFieldError(container));
     
     this.clearMessage();
+    if (this.wizardSteps) {
+      this.showStep(0, { focus: false });
+    }
     this.updateSubmitButtonState();
     
     // Remove animation classes
@@ -781,6 +2491,10 @@ if (window.MutationObserver) {
 
 // Export for external use
 window.NewsletterManager = NewsletterManager;
+window.NewsletterTransportRegistry = NewsletterTransportRegistry;
+window.NewsletterOfflineQueue = NewsletterOfflineQueue;
+window.NewsletterSubscriptionLifecycle = NewsletterSubscriptionLifecycle;
+window.NewsletterConsentGate = NewsletterConsentGate;
 window.initializeNewsletter = initializeNewsletter;
 
 // Cleanup on page unload
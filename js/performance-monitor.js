@@ -1,6 +1,11 @@
 /**
  * Performance Monitoring for Matrix Flow Theme
  * Tracks loading times, resource usage, and optimization effectiveness
+ *
+ * @module performance-monitor
+ * @priority low
+ * @features performance-metrics
+ * @loadTrigger idle
  */
 
 class PerformanceMonitor {
@@ -145,10 +150,11 @@ class PerformanceMonitor {
         this.mark('lazy-loader-init');
         this.mark('newsletter-widget-ready');
 
-        // Measure module loading times
-        if (window.moduleLoader) {
-            const originalLoadModule = window.moduleLoader.loadModule.bind(window.moduleLoader);
-            window.moduleLoader.loadModule = async (src, options) => {
+        // Measure module loading times (the runtime sees every loader's requests)
+        const loader = window.loaderRuntime || window.moduleLoader;
+        if (loader) {
+            const originalLoadModule = loader.loadModule.bind(loader);
+            loader.loadModule = async (src, options) => {
                 const startTime = performance.now();
                 this.mark(`module-load-start-${src}`);
 
@@ -1,15 +1,72 @@
 /**
  * Advanced Resource Preloader and Hints Manager
  * Implements intelligent resource preloading with priority-based scheduling
+ *
+ * @module resource-preloader
+ * @priority medium
+ * @features resource-hints, route-prefetch, speculation-rules
+ * @loadTrigger idle
  */
 
 class ResourcePreloader {
     constructor() {
         this.preloadedResources = new Set();
         this.preloadQueue = [];
-        this.resourceHints = new Map();
+        this.resourceHints = new Map();     // live <link> elements by hint key
+        this.hintMetadata = new Map();      // every hint by key: type, href, as, priority, origin, createdAt, state
         this.performanceObserver = null;
+        this.integrity = new Map();
+        this.manifestUrl = '/js/module-manifest.json';
+        this.hintsConfigUrl = '/js/resource-hints-config.json';
+        this.routeManifestUrl = '/js/route-manifest.json';
+        this.routes = null;
+        this.routesReady = null;
+        this.preloadedRoutes = new Set();
+
+        // Navigation accelerator: the HTTP cache keeps the HTML, this only remembers when each page was fetched.
+        // Map insertion order doubles as LRU order: the oldest entry goes first once the limit is reached
+        this.prefetchedPages = new Map();
+        this.pagePrefetchTtl = 5 * 60 * 1000;
+        this.pagePrefetchLimit = 20;
+        this.pagePrefetches = new Map();
+        this.pagePrefetchQueue = [];
+        this.maxPagePrefetches = 2;
+        this.hoverDelay = 65;             // ignore links the pointer only crosses
+        // Prerender runs page scripts: only content pages, never the newsletter or consent flows
+        this.prerenderPatterns = ['/:year(\\d{4})/:month(\\d{2})/:day(\\d{2})/:slug/', '/tags/*', '/archives/*'];
+        this.speculationRules = null;
+        this.usageTimeout = 10000;
+        this.hintReport = { invalid: [], failed: [], unused: [] };
+
+        // Shape of each list in resource-hints-config.json ('?' marks optional fields);
+        // pages.<path pattern> takes the same lists plus a remove list of hrefs
+        this.hintSchema = {
+            preload: { href: 'url', as: ['script', 'style', 'font', 'image', 'fetch', 'document'], priority: ['critical', 'high', 'medium', 'low'], media: 'string?' },
+            prefetch: { href: 'url', as: ['script', 'style', 'font', 'image', 'fetch', 'document'], priority: ['critical', 'high', 'medium', 'low'] },
+            preconnect: { href: 'origin', crossorigin: 'boolean?' },
+            dnsPrefetch: 'hostname'
+        };
         
+        // What each strategy does to preload and prefetch hints of each priority;
+        // crossOrigin replaces downgrade for third-party hints, which also cost a connection
+        this.hintPolicies = {
+            conservative: {
+                preload: { critical: 'keep', high: 'downgrade', medium: 'remove', low: 'remove' },
+                prefetch: { critical: 'remove', high: 'remove', medium: 'remove', low: 'remove' },
+                crossOrigin: 'remove'
+            },
+            moderate: {
+                preload: { critical: 'keep', high: 'keep', medium: 'downgrade', low: 'downgrade' },
+                prefetch: { critical: 'keep', high: 'keep', medium: 'remove', low: 'remove' },
+                crossOrigin: 'downgrade'
+            },
+            aggressive: {
+                preload: { critical: 'keep', high: 'keep', medium: 'keep', low: 'keep' },
+                prefetch: { critical: 'keep', high: 'keep', medium: 'keep', low: 'keep' },
+                crossOrigin: 'keep'
+            }
+        };
+
         // Resource priorities
         this.priorities = {
             critical: 1,
@@ -22,48 +79,176 @@ class ResourcePreloader {
     }
 
     init() {
-        this.setupResourceHints();
         this.setupPerformanceObserver();
-        this.preloadCriticalResources();
-        this.setupIntersectionObserver();
-        this.setupConnectionObserver();
+
+        // Hints wait for js/module-manifest.json so every local script and style carries its SRI hash
+        this.ready = Promise.all([this.loadIntegrityManifest(), this.loadHintsConfig()]).then(([, hints]) => {
+            this.setupResourceHints(hints);
+            this.preloadCriticalResources();
+            this.setupIntersectionObserver();
+            this.setupConnectionObserver();
+            this.setupBehaviorBasedPreloading();
+        });
     }
 
-    setupResourceHints() {
-        // DNS prefetch for external domains
-        this.addDNSPrefetch('fonts.googleapis.com');
-        this.addDNSPrefetch('fonts.gstatic.com');
-        
-        // Preconnect to critical origins
-        this.addPreconnect('https://fonts.googleapis.com', true);
-        this.addPreconnect('https://fonts.gstatic.com', true);
-        
-        // Preload critical resources
-        this.addPreload('/js/module-loader.js', 'script', 'critical');
-        this.addPreload('/js/viewport-manager.js', 'script', 'critical');
-        this.addPreload('/js/matrix.js', 'script', 'critical');
-        
-        // Prefetch likely-needed resources
-        this.addPrefetch('/js/newsletter.js', 'script', 'high');
-        this.addPrefetch('/js/lazy-loader.js', 'script', 'medium');
-        this.addPrefetch('/css/newsletter.css', 'style', 'medium');
+    async loadIntegrityManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const manifest = await response.json();
+            this.integrity = new Map(Object.entries(manifest.integrity || {}));
+        } catch (error) {
+            console.warn('⚠️ Integrity manifest unavailable, loading without SRI', error);
+        }
+    }
+
+    // Local resources are keyed by path, third-party ones by full URL
+    getIntegrity(href) {
+        const url = new URL(href, window.location.href);
+        return this.integrity.get(url.origin === window.location.origin ? url.pathname : url.href);
+    }
+
+    async loadHintsConfig() {
+        try {
+            const response = await fetch(this.hintsConfigUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const config = await response.json();
+
+            if (config.usageTimeout !== undefined) {
+                if (typeof config.usageTimeout === 'number' && config.usageTimeout > 0) {
+                    this.usageTimeout = config.usageTimeout * 1000;
+                } else {
+                    this.reportInvalidHint('usageTimeout', config.usageTimeout, 'expected a positive number of seconds');
+                }
+            }
+
+            this.checkHintKeys(config, ['usageTimeout', 'pages'], 'config');
+            return this.resolvePageHints(config, window.location.pathname);
+        } catch (error) {
+            console.error('❌ Resource hints config unavailable, no hints added', error);
+            return this.validateHints({});
+        }
+    }
+
+    // Later matching page patterns win; `*` matches any run of characters
+    resolvePageHints(config, pathname) {
+        const hints = this.validateHints(config, 'config');
+
+        Object.entries(config.pages || {}).forEach(([pattern, overrides]) => {
+            const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            if (!regex.test(pathname)) return;
+
+            this.checkHintKeys(overrides, ['remove'], `pages["${pattern}"]`);
+            const pageHints = this.validateHints(overrides, `pages["${pattern}"]`);
+            const removed = new Set(Array.isArray(overrides.remove) ? overrides.remove : []);
+
+            Object.keys(this.hintSchema).forEach(type => {
+                const hrefOf = hint => (typeof hint === 'string' ? hint : hint.href);
+                const overridden = new Set([...removed, ...pageHints[type].map(hrefOf)]);
+                hints[type] = hints[type].filter(hint => !overridden.has(hrefOf(hint))).concat(pageHints[type]);
+            });
+
+            console.log(`📄 Resource hints overridden for ${pathname} by ${pattern}`);
+        });
+
+        return hints;
+    }
+
+    // Returns every hint list with invalid entries dropped and reported
+    validateHints(config, source = 'config') {
+        const hints = {};
+
+        Object.entries(this.hintSchema).forEach(([type, schema]) => {
+            const entries = config[type] === undefined ? [] : config[type];
+            if (!Array.isArray(entries)) {
+                this.reportInvalidHint(`${source}.${type}`, entries, 'expected an array');
+                hints[type] = [];
+                return;
+            }
+
+            hints[type] = entries.filter((entry, index) => {
+                const error = this.checkHint(entry, schema);
+                if (error) {
+                    this.reportInvalidHint(`${source}.${type}[${index}]`, entry, error);
+                }
+                return !error;
+            });
+        });
+
+        return hints;
+    }
+
+    // Typos such as "prefech" would otherwise drop a whole list silently
+    checkHintKeys(config, extraKeys, source) {
+        const allowed = [...Object.keys(this.hintSchema), ...extraKeys];
+        Object.keys(config).filter(key => !allowed.includes(key)).forEach(key => {
+            this.reportInvalidHint(`${source}.${key}`, config[key], 'unknown key');
+        });
+    }
+
+    checkHint(value, schema) {
+        if (typeof schema === 'string') {
+            const optional = schema.endsWith('?');
+            const type = schema.replace('?', '');
+            if (value === undefined) return optional ? null : 'is required';
+
+            const valid = {
+                url: () => typeof value === 'string' && value.length > 0,
+                origin: () => typeof value === 'string' && /^https?:\/\/[^/]+$/.test(value),
+                hostname: () => typeof value === 'string' && /^(\/\/)?[a-z0-9.-]+$/i.test(value),
+                string: () => typeof value === 'string',
+                boolean: () => typeof value === 'boolean'
+            }[type]();
+            return valid ? null : `expected ${type}`;
+        }
+
+        if (Array.isArray(schema)) {
+            return schema.includes(value) ? null : `expected one of ${schema.join(', ')}`;
+        }
+
+        if (!value || typeof value !== 'object') return 'expected an object';
+
+        const unknown = Object.keys(value).find(field => !(field in schema));
+        if (unknown) return `unknown field "${unknown}"`;
+
+        for (const [field, fieldSchema] of Object.entries(schema)) {
+            const error = this.checkHint(value[field], fieldSchema);
+            if (error) return `${field} ${error}`;
+        }
+        return null;
+    }
+
+    reportInvalidHint(path, value, reason) {
+        this.hintReport.invalid.push({ path, value, reason });
+        console.warn(`⚠️ Invalid resource hint at ${path}: ${reason}`, value);
+    }
+
+    setupResourceHints(hints) {
+        hints.dnsPrefetch.forEach(hostname => this.addDNSPrefetch(hostname.replace(/^\/\//, '')));
+        hints.preconnect.forEach(hint => this.addPreconnect(hint.href, hint.crossorigin));
+        hints.preload.forEach(hint => this.addPreload(hint.href, hint.as, hint.priority, { media: hint.media }));
+        hints.prefetch.forEach(hint => this.addPrefetch(hint.href, hint.as, hint.priority));
     }
 
     addDNSPrefetch(hostname) {
-        if (this.resourceHints.has(`dns-prefetch-${hostname}`)) return;
+        if (this.hintMetadata.has(`dns-prefetch-${hostname}`)) return;
         
         const link = document.createElement('link');
         link.rel = 'dns-prefetch';
         link.href = `//${hostname}`;
         
         document.head.appendChild(link);
-        this.resourceHints.set(`dns-prefetch-${hostname}`, link);
+        this.registerHint(`dns-prefetch-${hostname}`, link, { type: 'dns-prefetch', href: link.href, priority: 'low' });
         
         console.log(`🔍 DNS prefetch added: ${hostname}`);
     }
 
     addPreconnect(origin, crossorigin = false) {
-        if (this.resourceHints.has(`preconnect-${origin}`)) return;
+        if (this.hintMetadata.has(`preconnect-${origin}`)) return;
         
         const link = document.createElement('link');
         link.rel = 'preconnect';
@@ -74,34 +259,38 @@ class ResourcePreloader {
         }
         
         document.head.appendChild(link);
-        this.resourceHints.set(`preconnect-${origin}`, link);
+        this.registerHint(`preconnect-${origin}`, link, { type: 'preconnect', href: origin, priority: 'high' });
         
         console.log(`🔗 Preconnect added: ${origin}`);
     }
 
     addPreload(href, as, priority = 'medium', options = {}) {
         const key = `preload-${href}`;
-        if (this.resourceHints.has(key)) return;
+        if (this.hintMetadata.has(key)) return;
+        
+        // What the page already loads would only be downloaded twice
+        if (this.isHintUsed(href, as)) {
+            console.log(`⏭️ Preload skipped, already loaded by the page: ${href}`);
+            return;
+        }
         
         const link = document.createElement('link');
         link.rel = 'preload';
         link.href = href;
         link.as = as;
         
-        // Set importance if supported
-        if ('importance' in link) {
-            link.importance = this.mapPriorityToImportance(priority);
-        }
+        this.setLinkPriority(link, priority);
         
-        // Add crossorigin for scripts and styles
-        if (as === 'script' || as === 'style') {
-            link.crossOrigin = 'anonymous';
+        // A preload is only reused when crossorigin and integrity match its consumer: fonts are
+        // always CORS, runtime scripts carry the manifest hash, stylesheets are plain <link>s
+        const integrity = options.integrity || (as === 'script' && this.getIntegrity(href));
+        if (integrity) {
+            link.integrity = integrity;
         }
-        
-        // Add integrity if provided
-        if (options.integrity) {
-            link.integrity = options.integrity;
+        if (as === 'font' || integrity) {
+            link.crossOrigin = 'anonymous';
         }
+        link.addEventListener('error', () => this.handlePreloadError(key, href, integrity));
         
         // Add media query for conditional loading
         if (options.media) {
@@ -109,20 +298,103 @@ class ResourcePreloader {
         }
         
         document.head.appendChild(link);
-        this.resourceHints.set(key, link);
+        this.registerHint(key, link, { type: 'preload', href, as, priority });
         this.preloadedResources.add(href);
+        this.scheduleUsageCheck(key, href, as);
         
         console.log(`⚡ Preload added: ${href} (${as}, ${priority})`);
     }
 
+    async handlePreloadError(key, href, integrity) {
+        const mismatch = await this.detectIntegrityMismatch(href, integrity);
+        if (!mismatch) {
+            this.reportFailedHint(key, href);
+            return;
+        }
+
+        // Never leave a poisoned hint in place for the real script or stylesheet to reuse
+        this.revokeHint(key, 'integrity mismatch');
+
+        console.error(`🚨 Integrity mismatch for preloaded resource ${href}`, mismatch);
+        document.dispatchEvent(new CustomEvent('module:integrity', {
+            detail: { loader: 'resource-preloader', module: href, url: href, ...mismatch }
+        }));
+    }
+
+    // The browser reports a blocked SRI load as a plain error: refetch and hash to tell them apart
+    async detectIntegrityMismatch(url, integrity) {
+        if (!integrity || !(window.crypto && window.crypto.subtle)) return null;
+
+        try {
+            const response = await fetch(url, { mode: 'cors', credentials: 'omit', cache: 'force-cache' });
+            if (!response.ok) return null;
+
+            const [, algorithm, expected] = integrity.match(/^(sha256|sha384|sha512)-(.+)$/) || [];
+            if (!algorithm) return null;
+
+            const digest = await window.crypto.subtle.digest(algorithm.replace('sha', 'SHA-'), await response.arrayBuffer());
+            const actual = btoa(String.fromCharCode(...new Uint8Array(digest)));
+            return actual === expected ? null : { expected: integrity, actual: `${algorithm}-${actual}` };
+        } catch (error) {
+            // Unreachable or blocked by CORS: treat as a network failure
+            return null;
+        }
+    }
+
+    reportFailedHint(key, href) {
+        const url = new URL(href, window.location.href).href;
+        const entry = performance.getEntriesByName(url).find(timing => timing.responseStatus);
+        const reason = entry ? `HTTP ${entry.responseStatus}` : 'network error';
+
+        this.hintReport.failed.push({ hint: key, href, reason });
+        console.warn(`⚠️ Resource hint failed: ${href} (${reason})`);
+        document.dispatchEvent(new CustomEvent('hint:failed', {
+            detail: { hint: key, href, reason }
+        }));
+    }
+
+    // A preload nobody consumes within usageTimeout only cost bandwidth
+    scheduleUsageCheck(key, href, as) {
+        setTimeout(() => {
+            if (!this.resourceHints.has(key) || this.hintReport.failed.some(failure => failure.hint === key)) return;
+            if (this.isHintUsed(href, as)) return;
+
+            const unusedFor = this.usageTimeout / 1000;
+            this.hintReport.unused.push({ hint: key, href, as, unusedFor });
+            console.warn(`⚠️ Preloaded resource not used within ${unusedFor}s: ${href}`);
+            document.dispatchEvent(new CustomEvent('hint:unused', {
+                detail: { hint: key, href, as, unusedFor }
+            }));
+        }, this.usageTimeout);
+    }
+
+    isHintUsed(href, as) {
+        const url = new URL(href, window.location.href).href;
+        const consumers = {
+            script: () => Array.from(document.scripts).some(script => script.src === url),
+            style: () => Array.from(document.querySelectorAll('link[rel="stylesheet"]')).some(link => link.href === url),
+            image: () => Array.from(document.images).some(img => img.currentSrc === url || img.src === url)
+        };
+        if (consumers[as] && consumers[as]()) return true;
+
+        // The runtime removes its script elements once they have run
+        if (window.loaderRuntime && window.loaderRuntime.getModuleStatus(href) === 'loaded') return true;
+
+        // Anything requested again by another initiator (CSS, fetch, script) consumed the preload
+        return performance.getEntriesByName(url).some(entry => entry.initiatorType !== 'link');
+    }
+
     addPrefetch(href, as, priority = 'low', options = {}) {
         const key = `prefetch-${href}`;
-        if (this.resourceHints.has(key)) return;
+        if (this.hintMetadata.has(key)) return;
         
         const link = document.createElement('link');
         link.rel = 'prefetch';
         link.href = href;
         link.as = as;
+
+        // No integrity here: prefetch only warms the HTTP cache, the script or style that uses it is checked
+        link.addEventListener('error', () => this.reportFailedHint(key, href));
         
         // Add to queue for intelligent loading
         this.preloadQueue.push({
@@ -132,6 +404,7 @@ class ResourcePreloader {
             options,
             link
         });
+        this.hintMetadata.set(key, this.describeHint(key, link, { type: 'prefetch', href, as, priority }, 'queued'));
         
         // Process queue based on network conditions
         this.processPreloadQueue();
@@ -139,6 +412,35 @@ class ResourcePreloader {
         console.log(`📦 Prefetch queued: ${href} (${as}, ${priority})`);
     }
 
+    describeHint(key, link, { type, href, as = null, priority }, state) {
+        return {
+            key,
+            type,
+            href,
+            as,
+            priority,
+            origin: new URL(href, window.location.href).origin,
+            createdAt: Date.now(),
+            state,
+            link
+        };
+    }
+
+    registerHint(key, link, hint) {
+        this.resourceHints.set(key, link);
+        this.hintMetadata.set(key, this.describeHint(key, link, hint, 'active'));
+    }
+
+    setLinkPriority(link, priority) {
+        // fetchpriority is the standard attribute, importance its origin-trial predecessor
+        if ('fetchPriority' in link) {
+            link.fetchPriority = this.mapPriorityToImportance(priority);
+        }
+        if ('importance' in link) {
+            link.importance = this.mapPriorityToImportance(priority);
+        }
+    }
+
     mapPriorityToImportance(priority) {
         const mapping = {
             critical: 'high',
@@ -180,12 +482,7 @@ class ResourcePreloader {
     }
 
     preloadCriticalResources() {
-        // Preload critical CSS
-        this.addPreload('/css/style.css', 'style', 'critical');
-        
-        // Preload critical fonts
-        this.addPreload('https://fonts.googleapis.com/css2?family=VT323&display=swap', 'style', 'high');
-        
+        // Stylesheets and fonts come from resource-hints-config.json; hero images are per page
         // Preload hero images if they exist
         const heroImages = document.querySelectorAll('img[data-hero]');
         heroImages.forEach(img => {
@@ -251,6 +548,19 @@ class ResourcePreloader {
     }
 
     setupConnectionObserver() {
+        // The shared service also weighs measured RTT and throughput
+        if (window.networkQuality) {
+            const strategies = {
+                conservative: () => this.setConservativeStrategy(),
+                moderate: () => this.setModerateStrategy(),
+                aggressive: () => this.setAggressiveStrategy()
+            };
+            window.networkQuality.subscribe(strategy => {
+                if (strategies[strategy]) strategies[strategy]();
+            });
+            return;
+        }
+
         // Adapt preloading strategy based on connection quality
         if ('connection' in navigator) {
             const connection = navigator.connection;
@@ -279,40 +589,101 @@ class ResourcePreloader {
         // Only preload critical resources on slow connections
         this.strategy = 'conservative';
         this.clearNonCriticalPreloads();
+        this.updateSpeculationRules();
     }
 
     setModerateStrategy() {
         // Preload critical and high priority resources
         this.strategy = 'moderate';
-        this.processPreloadQueue(['critical', 'high']);
+        this.applyHintPolicy('moderate');
+        this.processPreloadQueue();
+        this.updateSpeculationRules();
     }
 
     setAggressiveStrategy() {
         // Preload all queued resources
         this.strategy = 'aggressive';
+        this.applyHintPolicy('aggressive');
         this.processPreloadQueue();
+        this.updateSpeculationRules();
     }
 
     clearNonCriticalPreloads() {
         // Remove non-critical preload hints to save bandwidth
-        this.resourceHints.forEach((link, key) => {
-            if (key.startsWith('prefetch-') || 
-                (key.startsWith('preload-') && !key.includes('critical'))) {
-                link.remove();
-                this.resourceHints.delete(key);
+        this.applyHintPolicy('conservative');
+    }
+
+    getHintAction(hint, strategy) {
+        const policy = this.hintPolicies[strategy];
+        const rules = policy && policy[hint.type];
+        if (!rules) return 'keep';   // dns-prefetch and preconnect are too cheap to manage
+
+        const action = rules[hint.priority] || 'keep';
+        if (action === 'downgrade' && hint.origin !== window.location.origin) {
+            return policy.crossOrigin;
+        }
+        return action;
+    }
+
+    applyHintPolicy(strategy) {
+        const changes = { downgraded: 0, removed: 0, restored: 0 };
+
+        this.hintMetadata.forEach(hint => {
+            const action = this.getHintAction(hint, strategy);
+
+            if (action === 'remove' && hint.state !== 'removed' && hint.state !== 'queued') {
+                hint.link.remove();
+                this.resourceHints.delete(hint.key);
+                changes.removed++;
+
+                // Prefetches go back to the queue for a faster connection to pick up again
+                if (hint.type === 'prefetch') {
+                    hint.state = 'queued';
+                    this.preloadQueue.push({ href: hint.href, as: hint.as, priority: hint.priority, options: {}, link: hint.link });
+                } else {
+                    hint.state = 'removed';
+                }
+            } else if (action === 'downgrade' && hint.state === 'active') {
+                this.setLinkPriority(hint.link, 'low');
+                hint.state = 'downgraded';
+                changes.downgraded++;
+            } else if (action !== 'remove' && hint.state === 'removed') {
+                this.setLinkPriority(hint.link, action === 'downgrade' ? 'low' : hint.priority);
+                document.head.appendChild(hint.link);
+                this.resourceHints.set(hint.key, hint.link);
+                hint.state = action === 'downgrade' ? 'downgraded' : 'active';
+                changes.restored++;
+            } else if (action === 'keep' && hint.state === 'downgraded') {
+                this.setLinkPriority(hint.link, hint.priority);
+                hint.state = 'active';
+                changes.restored++;
             }
         });
+
+        if (changes.downgraded || changes.removed || changes.restored) {
+            console.log(`🎚️ Resource hints adjusted for ${strategy} strategy`, changes);
+        }
+        return changes;
     }
 
-    processPreloadQueue(allowedPriorities = ['critical', 'high', 'medium', 'low']) {
+    // Prefetch priorities the current strategy lets through, from the same table as applyHintPolicy
+    getAllowedPrefetchPriorities(strategy = this.getStrategy()) {
+        return Object.keys(this.priorities)
+            .filter(priority => this.getHintAction({ type: 'prefetch', priority, origin: window.location.origin }, strategy) !== 'remove');
+    }
+
+    processPreloadQueue(allowedPriorities = this.getAllowedPrefetchPriorities()) {
         const queue = this.preloadQueue
             .filter(item => allowedPriorities.includes(item.priority))
             .sort((a, b) => this.priorities[a.priority] - this.priorities[b.priority]);
         
         queue.forEach(item => {
-            if (!this.resourceHints.has(`prefetch-${item.href}`)) {
+            const key = `prefetch-${item.href}`;
+            const hint = this.hintMetadata.get(key);
+            if (!this.resourceHints.has(key) && hint) {
                 document.head.appendChild(item.link);
-                this.resourceHints.set(`prefetch-${item.href}`, item.link);
+                this.resourceHints.set(key, item.link);
+                hint.state = 'active';
             }
         });
         
@@ -324,55 +695,203 @@ class ResourcePreloader {
 
     // Preload resources for specific routes/pages
     preloadRoute(routePath) {
+        const route = this.matchRoute(routePath);
+        if (!route || this.preloadedRoutes.has(route.path)) return;
+        this.preloadedRoutes.add(route.path);
+
         const routeResources = this.getRouteResources(routePath);
         
         routeResources.forEach(resource => {
             this.addPrefetch(resource.href, resource.as, resource.priority);
         });
         
-        console.log(`🛣️ Route resources preloaded: ${routePath}`);
+        console.log(`🛣️ Route resources preloaded: ${route.path} (${route.route}, ${routeResources.length} resources)`);
+    }
+
+    async loadRouteManifest() {
+        try {
+            const response = await fetch(this.routeManifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const manifest = await response.json();
+            this.routes = (manifest.routes || []).map(route => ({ ...route, regex: new RegExp(route.pattern) }));
+        } catch (error) {
+            console.warn('⚠️ Route manifest unavailable, route preloading disabled', error);
+            this.routes = [];
+        }
+    }
+
+    // Routes come from js/route-manifest.json (node tools/build-route-manifest.js)
+    matchRoute(routePath) {
+        if (!this.routes) return null;
+
+        const pathname = new URL(routePath, window.location.href).pathname.replace(/index\.html$/, '');
+        const route = this.routes.find(candidate => candidate.regex.test(pathname));
+        return route ? { ...route, path: pathname } : null;
     }
 
     getRouteResources(routePath) {
-        // Define resources needed for different routes
-        const routeMap = {
-            '/': [
-                { href: '/js/newsletter.js', as: 'script', priority: 'high' },
-                { href: '/css/newsletter.css', as: 'style', priority: 'medium' }
-            ],
-            '/posts': [
-                { href: '/js/lazy-loader.js', as: 'script', priority: 'high' },
-                { href: '/css/posts.css', as: 'style', priority: 'medium' }
-            ],
-            '/about': [
-                { href: '/js/contact-form.js', as: 'script', priority: 'medium' }
-            ]
-        };
-        
-        return routeMap[routePath] || [];
+        const route = this.matchRoute(routePath);
+        if (!route) return [];
+
+        // Whatever this page already fetched is in the HTTP cache for the next one
+        return route.resources.filter(resource => !this.isHintUsed(resource.href, resource.as));
     }
 
     // Preload resources based on user behavior
     setupBehaviorBasedPreloading() {
+        this.routesReady = this.routesReady || this.loadRouteManifest();
+        this.updateSpeculationRules();
+
+        let hoverTimer = null;
+        const preloadLink = (link) => {
+            this.routesReady.then(() => this.preloadRoute(link.href));
+            this.prefetchPage(link.href);
+        };
+
         // Preload on hover for likely navigation
         document.addEventListener('mouseover', (event) => {
-            const link = event.target.closest('a[href]');
-            if (link && link.hostname === window.location.hostname) {
-                const href = link.getAttribute('href');
-                this.preloadRoute(href);
-            }
+            const link = this.getNavigableLink(event.target);
+            if (!link) return;
+
+            clearTimeout(hoverTimer);
+            hoverTimer = setTimeout(() => preloadLink(link), this.hoverDelay);
         });
+        document.addEventListener('mouseout', () => clearTimeout(hoverTimer));
         
         // Preload on focus for keyboard navigation
         document.addEventListener('focusin', (event) => {
-            const link = event.target.closest('a[href]');
-            if (link && link.hostname === window.location.hostname) {
-                const href = link.getAttribute('href');
-                this.preloadRoute(href);
+            const link = this.getNavigableLink(event.target);
+            if (link) {
+                preloadLink(link);
             }
         });
     }
 
+    // Same-origin links to another HTML page only
+    getNavigableLink(target) {
+        const link = target.closest && target.closest('a[href]');
+        if (!link || link.hostname !== window.location.hostname) return null;
+        if (link.pathname === window.location.pathname) return null;
+        if (link.hasAttribute('download') || link.dataset.noPrefetch !== undefined) return null;
+        if (!/(\/|\.html|\/[^./]+)$/.test(link.pathname)) return null;
+        return link;
+    }
+
+    canPrefetchPages() {
+        const connection = navigator.connection;
+        if (connection && connection.saveData) return false;
+        return this.getStrategy() !== 'conservative';
+    }
+
+    // Fetches the target HTML into the HTTP cache, where the navigation picks it up
+    prefetchPage(href) {
+        const url = new URL(href, window.location.href);
+        url.hash = '';
+        const key = url.href;
+
+        if (!this.canPrefetchPages() || this.speculationRules) return Promise.resolve(false);
+        if (this.isPagePrefetched(key)) return Promise.resolve(true);
+        if (this.pagePrefetches.has(key)) return this.pagePrefetches.get(key);
+
+        if (this.pagePrefetches.size >= this.maxPagePrefetches) {
+            // Only the latest hovers are worth waiting for
+            this.pagePrefetchQueue = this.pagePrefetchQueue.filter(queued => queued !== key).concat(key).slice(-this.maxPagePrefetches);
+            return Promise.resolve(false);
+        }
+
+        // The body has to be read to the end for the response to be cached
+        const prefetch = fetch(key, { credentials: 'same-origin', priority: 'low' })
+            .then(response => (response.ok ? response.arrayBuffer().then(() => true) : false))
+            .then(prefetched => {
+                if (prefetched) {
+                    this.rememberPrefetchedPage(key);
+                    console.log(`🚀 Page prefetched: ${url.pathname}`);
+                }
+                return prefetched;
+            })
+            .catch(() => false)
+            .finally(() => {
+                this.pagePrefetches.delete(key);
+                const next = this.pagePrefetchQueue.shift();
+                if (next) this.prefetchPage(next);
+            });
+
+        this.pagePrefetches.set(key, prefetch);
+        return prefetch;
+    }
+
+    isPagePrefetched(key) {
+        const fetchedAt = this.prefetchedPages.get(key);
+        if (fetchedAt === undefined) return false;
+
+        if (Date.now() - fetchedAt > this.pagePrefetchTtl) {
+            this.prefetchedPages.delete(key);
+            return false;
+        }
+
+        // Mark as recently used
+        this.prefetchedPages.delete(key);
+        this.prefetchedPages.set(key, fetchedAt);
+        return true;
+    }
+
+    rememberPrefetchedPage(key) {
+        this.prefetchedPages.delete(key);
+        this.prefetchedPages.set(key, Date.now());
+
+        while (this.prefetchedPages.size > this.pagePrefetchLimit) {
+            this.prefetchedPages.delete(this.prefetchedPages.keys().next().value);
+        }
+    }
+
+    // Browsers with Speculation Rules prefetch (or prerender) on hover themselves
+    updateSpeculationRules() {
+        const supported = typeof HTMLScriptElement !== 'undefined' &&
+            HTMLScriptElement.supports && HTMLScriptElement.supports('speculationrules');
+        if (!supported) return;
+
+        if (this.speculationRules) {
+            this.speculationRules.remove();
+            this.speculationRules = null;
+        }
+        if (!this.canPrefetchPages()) return;
+
+        const rule = {
+            source: 'document',
+            where: {
+                and: [
+                    { href_matches: '/*' },
+                    { not: { href_matches: '/*.pdf' } },
+                    { not: { selector_matches: '[download], [data-no-prefetch], [rel~="nofollow"]' } }
+                ]
+            },
+            eagerness: 'moderate'
+        };
+        const rules = { prefetch: [rule] };
+        if (this.getStrategy() === 'aggressive') {
+            rules.prerender = [{
+                source: 'document',
+                where: {
+                    and: [
+                        { href_matches: this.prerenderPatterns },
+                        { not: { selector_matches: '[download], [data-no-prefetch], [rel~="nofollow"]' } }
+                    ]
+                },
+                eagerness: 'moderate'
+            }];
+        }
+
+        const script = document.createElement('script');
+        script.type = 'speculationrules';
+        script.textContent = JSON.stringify(rules);
+        document.head.appendChild(script);
+        this.speculationRules = script;
+
+        console.log(`🔮 Speculation rules updated (${Object.keys(rules).join(', ')})`);
+    }
+
     // Public API
     getPreloadedResources() {
         return Array.from(this.preloadedResources);
@@ -382,10 +901,65 @@ class ResourcePreloader {
         return Array.from(this.resourceHints.keys());
     }
 
+    // Hint metadata without the <link> element; filter by any field, e.g. { type: 'preload', state: 'active' }
+    listHints(filter = {}) {
+        return Array.from(this.hintMetadata.values())
+            .filter(hint => Object.entries(filter).every(([field, value]) => hint[field] === value))
+            .map(({ link, ...hint }) => hint);
+    }
+
+    // Accepts a hint key or an href; the first hint for that href wins
+    getHint(keyOrHref) {
+        const hint = this.findHint(keyOrHref);
+        if (!hint) return null;
+
+        const { link, ...metadata } = hint;
+        return metadata;
+    }
+
+    findHint(keyOrHref) {
+        if (this.hintMetadata.has(keyOrHref)) return this.hintMetadata.get(keyOrHref);
+        return Array.from(this.hintMetadata.values()).find(hint => hint.href === keyOrHref) || null;
+    }
+
+    // Removes the hint for good: no strategy change brings a revoked hint back
+    revokeHint(keyOrHref, reason = 'revoked') {
+        const hint = this.findHint(keyOrHref);
+        if (!hint) return false;
+
+        hint.link.remove();
+        this.resourceHints.delete(hint.key);
+        this.hintMetadata.delete(hint.key);
+        this.preloadQueue = this.preloadQueue.filter(item => item.link !== hint.link);
+        if (hint.type === 'preload') {
+            this.preloadedResources.delete(hint.href);
+        }
+
+        document.dispatchEvent(new CustomEvent('hint:revoked', {
+            detail: { hint: hint.key, href: hint.href, reason }
+        }));
+        return true;
+    }
+
+    getHintReport() {
+        return {
+            invalid: this.hintReport.invalid.slice(),
+            failed: this.hintReport.failed.slice(),
+            unused: this.hintReport.unused.slice()
+        };
+    }
+
     getStrategy() {
         return this.strategy || 'moderate';
     }
 
+    getPrefetchedPages() {
+        const now = Date.now();
+        return Array.from(this.prefetchedPages)
+            .filter(([, fetchedAt]) => now - fetchedAt <= this.pagePrefetchTtl)
+            .map(([key]) => key);
+    }
+
     // Manual preload methods
     preloadImage(src, priority = 'medium') {
         this.addPreload(src, 'image', priority);
@@ -400,10 +974,18 @@ class ResourcePreloader {
     }
 }
 
-// Initialize resource preloader
-document.addEventListener('DOMContentLoaded', () => {
-    window.resourcePreloader = new ResourcePreloader();
-});
+// Initialize resource preloader; the loader runtime usually brings it in after DOMContentLoaded
+function initializeResourcePreloader() {
+    if (!window.resourcePreloader) {
+        window.resourcePreloader = new ResourcePreloader();
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeResourcePreloader);
+} else {
+    initializeResourcePreloader();
+}
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
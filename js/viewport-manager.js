@@ -1,6 +1,10 @@
 /**
  * Viewport Manager for Matrix Flow Theme
  * Handles responsive layout adjustments and viewport-specific optimizations
+ *
+ * @module viewport-manager
+ * @priority critical
+ * @features responsive-layout, viewport-detection
  */
 
 class ViewportManager {
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * CodeSplitter module manifest
+ * Scans js/ for scripts whose header comment declares a module and writes
+ * js/module-manifest.json with their real byte sizes and SRI hashes, plus an
+ * `integrity` map covering every script in js/ and stylesheet in css/ so the
+ * loaders never insert a local resource without its hash.
+ *
+ * Usage:
+ *   node tools/build-module-manifest.js           Write js/module-manifest.json
+ *   node tools/build-module-manifest.js --check   Exit with 1 when the manifest is stale
+ *
+ * Header tags read from the first doc comment of each js/*.js file:
+ *   @module <name>            Registry name (files without it are not modules)
+ *   @priority <level>         critical | high | medium | low (default: medium)
+ *   @depends <a, b>           Other modules that must load first
+ *   @features <a, b>          Free-form feature list
+ *   @loadTrigger <trigger>    interaction | scroll | idle
+ *   @fallbacks <url, url>     Base URLs to retry from when the site origin fails
+ *
+ * Re-run after editing any script or stylesheet: the integrity hashes change with every byte.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readSiteConfig, missingValues } = require('./newsletter-site-config');
+
+const ROOT = path.join(__dirname, '..');
+const JS_DIR = path.join(ROOT, 'js');
+const CSS_DIR = path.join(ROOT, 'css');
+const MANIFEST_PATH = path.join(JS_DIR, 'module-manifest.json');
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const LOAD_TRIGGERS = ['interaction', 'scroll', 'idle'];
+
+function readTags(source) {
+    const header = source.match(/^\s*\/\*\*([\s\S]*?)\*\//);
+    const tags = {};
+    if (!header) return tags;
+
+    header[1].split('\n').forEach(line => {
+        const match = line.match(/^\s*\*\s*@(\w+)\s+(.+?)\s*$/);
+        if (match) {
+            tags[match[1]] = match[2];
+        }
+    });
+
+    return tags;
+}
+
+function sri(content) {
+    return `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+}
+
+function list(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function describeModule(file) {
+    const content = fs.readFileSync(path.join(JS_DIR, file));
+    const tags = readTags(content.toString('utf8'));
+    if (!tags.module) return null;
+
+    const priority = tags.priority || 'medium';
+    if (!PRIORITIES.includes(priority)) {
+        throw new Error(`${file}: unknown @priority "${priority}"`);
+    }
+    if (tags.loadTrigger && !LOAD_TRIGGERS.includes(tags.loadTrigger)) {
+        throw new Error(`${file}: unknown @loadTrigger "${tags.loadTrigger}"`);
+    }
+
+    const entry = {
+        path: `/js/${file}`,
+        priority,
+        dependencies: list(tags.depends),
+        size: content.length,
+        integrity: sri(content),
+        features: list(tags.features)
+    };
+    if (tags.loadTrigger) {
+        entry.loadTrigger = tags.loadTrigger;
+    }
+    if (tags.fallbacks) {
+        entry.fallbackBaseUrls = list(tags.fallbacks);
+    }
+
+    return [tags.module, entry];
+}
+
+function buildManifest() {
+    const modules = {};
+
+    fs.readdirSync(JS_DIR)
+        .filter(file => file.endsWith('.js') && !file.endsWith('.min.js'))
+        .sort()
+        .forEach(file => {
+            const described = describeModule(file);
+            if (!described) return;
+
+            const [name, entry] = described;
+            if (modules[name]) {
+                throw new Error(`Module "${name}" is declared by both ${modules[name].path} and ${entry.path}`);
+            }
+            modules[name] = entry;
+        });
+
+    Object.entries(modules).forEach(([name, entry]) => {
+        entry.dependencies.forEach(dependency => {
+            if (!modules[dependency]) {
+                throw new Error(`Module "${name}" depends on undeclared module "${dependency}"`);
+            }
+        });
+    });
+
+    return { version: 1, modules, integrity: buildIntegrityMap() };
+}
+
+function buildIntegrityMap() {
+    const integrity = {};
+
+    [[JS_DIR, '.js'], [CSS_DIR, '.css']].forEach(([dir, extension]) => {
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith(extension))
+            .sort()
+            .forEach(file => {
+                integrity[`/${path.basename(dir)}/${file}`] = sri(fs.readFileSync(path.join(dir, file)));
+            });
+    });
+
+    return integrity;
+}
+
+function serialize(manifest) {
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+function main(argv) {
+    const manifest = serialize(buildManifest());
+    const count = Object.keys(JSON.parse(manifest).modules).length;
+
+    if (argv.includes('--check')) {
+        const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : '';
+        if (current !== manifest) {
+            console.error('❌ js/module-manifest.json is out of date, run: node tools/build-module-manifest.js');
+            return 1;
+        }
+        console.log(`✅ js/module-manifest.json is up to date (${count} modules)`);
+        return 0;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, manifest);
+    console.log(`✅ Wrote js/module-manifest.json (${count} modules)`);
+
+    // The newsletter pages load fine without these, then refuse every link: say so at build time
+    missingValues(readSiteConfig()).forEach(name => {
+        console.warn(`⚠️  js/newsletter-config.js: ${name} is missing, see node tools/newsletter-site-config.js --check`);
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { readTags, buildManifest, buildIntegrityMap, serialize };
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * ResourcePreloader route manifest
+ * Crawls the generated HTML pages and writes js/route-manifest.json: for each
+ * route, the local scripts and stylesheets every page of that route needs, so
+ * ResourcePreloader.preloadRoute can prefetch them before a navigation.
+ *
+ * Usage:
+ *   node tools/build-route-manifest.js           Write js/route-manifest.json
+ *   node tools/build-route-manifest.js --check   Exit with 1 when the manifest is stale
+ *
+ * Pages are grouped by ROUTES (posts, tags, categories, archives, projet-*,
+ * preuve*); any other page gets an exact route of its own. data-modules entries
+ * bring their dependencies from js/module-manifest.json along.
+ * Re-run after regenerating the site or tools/build-module-manifest.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'js', 'route-manifest.json');
+const MODULE_MANIFEST_PATH = path.join(ROOT, 'js', 'module-manifest.json');
+
+// Not part of the generated site
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'tools', 'js', 'css', 'images']);
+
+// First match wins; patterns are tested against the page path without index.html
+const ROUTES = [
+    { route: 'post', path: '/:year/:month/:day/:slug/', pattern: '^/\\d{4}/\\d{2}/\\d{2}/[^/]+/$' },
+    { route: 'tag', path: '/tags/:tag/', pattern: '^/tags/.+/$' },
+    { route: 'category', path: '/categories/:category/', pattern: '^/categories/.+/$' },
+    { route: 'archive', path: '/archives/*', pattern: '^/archives/(.+/)?$' },
+    { route: 'project', path: '/projet-*.html', pattern: '^/projet-[^/]+\\.html$' },
+    { route: 'proof', path: '/preuve*.html', pattern: '^/preuve[^/]*\\.html$' }
+];
+
+// Blocking stylesheets matter most for the next paint, lazy data-modules least
+const PRIORITIES = {
+    style: 'high',
+    script: 'medium',
+    lazy: 'low'
+};
+
+function findPages(dir = ROOT) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            if (entry.isDirectory()) {
+                return SKIP_DIRS.has(entry.name) ? [] : findPages(path.join(dir, entry.name));
+            }
+            return entry.name.endsWith('.html') ? [path.join(dir, entry.name)] : [];
+        });
+}
+
+function toRoutePath(file) {
+    const relative = `/${path.relative(ROOT, file).split(path.sep).join('/')}`;
+    return relative.replace(/index\.html$/, '');
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+}
+
+// Only same-site resources: third-party scripts are not ours to prefetch
+function isLocal(href) {
+    return Boolean(href) && href.startsWith('/') && !href.startsWith('//');
+}
+
+function readModules() {
+    if (!fs.existsSync(MODULE_MANIFEST_PATH)) return {};
+    return JSON.parse(fs.readFileSync(MODULE_MANIFEST_PATH, 'utf8')).modules || {};
+}
+
+// The loader fetches a module's dependencies before the module, so they come first
+function withDependencies(nameOrPath, modules, seen = new Set()) {
+    const name = modules[nameOrPath] ? nameOrPath : Object.keys(modules).find(key => modules[key].path === nameOrPath);
+    if (!name) return [nameOrPath];
+    if (seen.has(name)) return [];
+    seen.add(name);
+
+    return modules[name].dependencies
+        .flatMap(dependency => withDependencies(dependency, modules, seen))
+        .concat(modules[name].path);
+}
+
+function extractResources(html, modules = {}) {
+    const resources = new Map();
+    const add = (href, as, priority) => {
+        if (isLocal(href) && !resources.has(href)) {
+            resources.set(href, { href, as, priority });
+        }
+    };
+
+    (html.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+        if (/\brel\s*=\s*["']stylesheet["']/i.test(tag)) {
+            add(attribute(tag, 'href'), 'style', PRIORITIES.style);
+        }
+    });
+
+    // nomodule bundles only run in legacy browsers, prefetching them everywhere would be waste
+    (html.match(/<script\b[^>]*>/gi) || []).forEach(tag => {
+        if (!/\snomodule\b/i.test(tag)) {
+            add(attribute(tag, 'src'), 'script', PRIORITIES.script);
+        }
+    });
+
+    (html.match(/\bdata-modules\s*=\s*["'][^"']*["']/gi) || []).forEach(match => {
+        match.replace(/^[^"']*["']|["']$/g, '').split(',').forEach(href => {
+            withDependencies(href.trim(), modules).forEach(dependency => add(dependency, 'script', PRIORITIES.lazy));
+        });
+    });
+
+    return Array.from(resources.values());
+}
+
+function matchRoute(routePath) {
+    const route = ROUTES.find(candidate => new RegExp(candidate.pattern).test(routePath));
+    if (route) return route;
+
+    const escaped = routePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { route: 'page', path: routePath, pattern: `^${escaped}$` };
+}
+
+function exists(href) {
+    return fs.existsSync(path.join(ROOT, href.split(/[?#]/)[0]));
+}
+
+function buildManifest() {
+    const routes = new Map();
+    const missing = new Set();
+    const modules = readModules();
+
+    findPages().forEach(file => {
+        const routePath = toRoutePath(file);
+        const route = matchRoute(routePath);
+
+        // A prefetch of a missing file is a guaranteed 404
+        const resources = extractResources(fs.readFileSync(file, 'utf8'), modules).filter(resource => {
+            if (exists(resource.href)) return true;
+            if (!missing.has(resource.href)) {
+                missing.add(resource.href);
+                console.warn(`⚠️ ${routePath} references missing ${resource.href}, left out`);
+            }
+            return false;
+        });
+
+        if (!routes.has(route.pattern)) {
+            routes.set(route.pattern, { ...route, pages: 0, resources });
+        }
+
+        // Keep what every page of the route shares
+        const entry = routes.get(route.pattern);
+        const hrefs = new Set(resources.map(resource => resource.href));
+        entry.resources = entry.resources.filter(resource => hrefs.has(resource.href));
+        entry.pages++;
+    });
+
+    return {
+        version: 1,
+        routes: Array.from(routes.values()).map(({ route, path: routePath, pattern, pages, resources }) => ({
+            route,
+            path: routePath,
+            pattern,
+            pages,
+            resources
+        }))
+    };
+}
+
+function serialize(manifest) {
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+function main(argv) {
+    const manifest = serialize(buildManifest());
+    const count = JSON.parse(manifest).routes.length;
+
+    if (argv.includes('--check')) {
+        const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : '';
+        if (current !== manifest) {
+            console.error('❌ js/route-manifest.json is out of date, run: node tools/build-route-manifest.js');
+            return 1;
+        }
+        console.log(`✅ js/route-manifest.json is up to date (${count} routes)`);
+        return 0;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, manifest);
+    console.log(`✅ Wrote js/route-manifest.json (${count} routes)`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { ROUTES, extractResources, matchRoute, buildManifest, serialize };
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Newsletter subscriber encryption keys
+ * Creates the P-256 key pair used by NewsletterEncryptor and opens the sealed payloads
+ * found in subscription issues.
+ *
+ * Usage:
+ *   node tools/newsletter-crypto.js keygen <private-key.pem> [--config js/newsletter-config.js]
+ *   node tools/newsletter-crypto.js decrypt <private-key.pem> <payload>
+ *
+ * The public JWK printed by "keygen" goes into window.NEWSLETTER_CONFIG.encryption_public_key;
+ * --config writes it there directly, along with a random email_hash_salt when none is set yet.
+ * Keep the private key out of this repository.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { readSiteConfig, assertSiteConfigUnset, setSiteConfigValue } = require('./newsletter-site-config');
+
+// Must match NewsletterEncryptor in js/newsletter-encryptor.js
+const ALGORITHM = 'ECDH-ES+HKDF-SHA256+A256GCM';
+const HKDF_INFO = 'newsletter-subscriber-v1';
+const DEFAULT_HASH_ITERATIONS = 100000;
+const GCM_TAG_LENGTH = 16;
+
+function keygen(privateKeyPath) {
+    if (fs.existsSync(privateKeyPath)) {
+        throw new Error(`Refusing to overwrite existing key: ${privateKeyPath}`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+    return { kty, crv, x, y };
+}
+
+function loadPrivateKey(privateKeyPath) {
+    return crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+}
+
+function decrypt(privateKey, payload) {
+    const envelope = JSON.parse(Buffer.from(payload.trim(), 'base64url').toString('utf8'));
+
+    if (envelope.v !== 1 || envelope.alg !== ALGORITHM) {
+        throw new Error(`Unsupported payload: v${envelope.v} ${envelope.alg}`);
+    }
+
+    const sharedSecret = crypto.diffieHellman({
+        privateKey,
+        publicKey: crypto.createPublicKey({ key: envelope.epk, format: 'jwk' })
+    });
+    const key = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.alloc(0), HKDF_INFO, 32));
+
+    // WebCrypto appends the GCM tag to the ciphertext
+    const sealed = Buffer.from(envelope.ct, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64url'));
+    decipher.setAuthTag(sealed.subarray(sealed.length - GCM_TAG_LENGTH));
+
+    const plaintext = Buffer.concat([
+        decipher.update(sealed.subarray(0, sealed.length - GCM_TAG_LENGTH)),
+        decipher.final()
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+// No default salt: a constant one would let anyone reverse the hashes with a word list
+function hashEmail(email, salt, iterations = DEFAULT_HASH_ITERATIONS) {
+    if (!salt) {
+        throw new Error('Email hashing needs the secret salt (NEWSLETTER_CONFIG.email_hash_salt)');
+    }
+    return crypto.pbkdf2Sync(String(email).trim().toLowerCase(), salt, iterations, 32, 'sha256').toString('hex');
+}
+
+function main(argv) {
+    const [command, keyPath, payload, configFlagValue] = argv;
+
+    if (command === 'keygen' && keyPath) {
+        const configPath = payload === '--config' ? configFlagValue : null;
+        if (configPath) {
+            assertSiteConfigUnset('encryption_public_key', configPath);
+        }
+        const publicKey = keygen(keyPath);
+        if (configPath) {
+            setSiteConfigValue('encryption_public_key', publicKey, configPath);
+            if (!readSiteConfig(configPath).email_hash_salt) {
+                setSiteConfigValue('email_hash_salt', crypto.randomBytes(16).toString('hex'), configPath);
+            }
+        }
+        console.log(JSON.stringify(publicKey, null, 2));
+        return 0;
+    }
+
+    if (command === 'decrypt' && keyPath && payload) {
+        console.log(JSON.stringify(decrypt(loadPrivateKey(keyPath), payload), null, 2));
+        return 0;
+    }
+
+    console.error('Usage:\n' +
+        '  node tools/newsletter-crypto.js keygen <private-key.pem> [--config js/newsletter-config.js]\n' +
+        '  node tools/newsletter-crypto.js decrypt <private-key.pem> <payload>');
+    return 1;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { keygen, loadPrivateKey, decrypt, hashEmail };
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/**
+ * Newsletter digests
+ * Turns atom.xml into the HTML and plain-text bodies of a daily, weekly or monthly issue.
+ * Entries are kept when they were published inside the window ending at --until and, when
+ * filters are given, when they match one of the form topics or raw category/tag terms.
+ *
+ * Usage:
+ *   node tools/newsletter-digest.js <daily|weekly|monthly> <output-dir> --preferences-url <url> [options]
+ *
+ * Options:
+ *   --until <date>          End of the window (default: now)
+ *   --topics <a,b>          Form topics, mapped to feed terms through js/newsletter-topics.json
+ *                           (which also holds the topic headings the widget shows)
+ *   --categories <a,b>      Raw Atom category/tag terms
+ *   --format <name>         "HTML (Rich formatting)", "Plain text" or "both" (default: both)
+ *   --locale <fr|en>        Digest language (default: fr)
+ *   --feed <path>           Feed to read (default: atom.xml at the repository root)
+ *   --preferences-url <url> Required footer link. The preferences page only accepts the subscriber's
+ *                           own manage link (".../newsletter-preferences.html#token=...", printed by
+ *                           "node tools/newsletter-token.js manage <private-key.pem> <subscription-id>"),
+ *                           so pass that link or a mail-merge placeholder the sender replaces with it
+ *
+ * Files are written as <output-dir>/<frequency>-<until date>.html and .txt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FEED = path.join(ROOT, 'atom.xml');
+const TOPICS_FILE = path.join(ROOT, 'js', 'newsletter-topics.json');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Format names as recorded by NewsletterManager.collectFormData
+const FORMATS = {
+    'HTML (Rich formatting)': 'html',
+    'Plain text': 'text'
+};
+
+const LABELS = {
+    fr: {
+        title: { daily: 'Le digest du jour', weekly: 'Le digest de la semaine', monthly: 'Le digest du mois' },
+        period: 'Publications du {start} au {end}',
+        other: 'Autres publications',
+        readMore: 'Lire l\'article',
+        tags: 'Tags',
+        unsubscribe: 'Gérer vos préférences ou vous désinscrire'
+    },
+    en: {
+        title: { daily: 'Daily digest', weekly: 'Weekly digest', monthly: 'Monthly digest' },
+        period: 'Posts from {start} to {end}',
+        other: 'Other posts',
+        readMore: 'Read the post',
+        tags: 'Tags',
+        unsubscribe: 'Manage your preferences or unsubscribe'
+    }
+};
+
+// Feed parsing (Hexo's Atom output, no XML dependency)
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function stripHtml(html) {
+    return decodeEntities(html.replace(/<[^>]*>?/g, ' '))
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,.)])/g, '$1')
+        .trim();
+}
+
+function parseFeed(xml) {
+    const entries = xml.match(/<entry>[\s\S]*?<\/entry>/g) || [];
+
+    return entries.map(entry => {
+        const text = (tag) => {
+            const match = entry.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+            return match ? decodeEntities(match[1].trim()) : '';
+        };
+
+        const links = entry.match(/<link\b[^>]*>/g) || [];
+        const link = links.find(tag => !/\brel="/.test(tag) || /\brel="alternate"/.test(tag));
+        const terms = Array.from(entry.matchAll(/<category\b[^>]*\bterm="([^"]*)"/g), match => decodeEntities(match[1]));
+
+        return {
+            id: text('id'),
+            title: text('title'),
+            link: link ? decodeEntities(link.match(/\bhref="([^"]*)"/)[1]) : text('id'),
+            published: new Date(text('published') || text('updated')),
+            // Summaries are escaped HTML cut at a fixed length; only their text is reused
+            summary: stripHtml(text('summary') || text('content')),
+            terms
+        };
+    })
+        .filter(entry => !Number.isNaN(entry.published.getTime()))
+        .sort((a, b) => b.published - a.published);
+}
+
+// Same normalisation as NewsletterArchive, so "conformité" matches "conformite"
+function normalizeTerm(term) {
+    return String(term).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function loadTopicMap(file = TOPICS_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function topicsFor(entry, topicMap) {
+    const terms = entry.terms.map(normalizeTerm);
+    return Object.keys(topicMap).filter(topic => topicMap[topic].terms.some(term => terms.includes(normalizeTerm(term))));
+}
+
+function getWindow(frequency, until = new Date()) {
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new Error(`Unknown frequency "${frequency}" (expected ${FREQUENCIES.join(', ')})`);
+    }
+
+    const start = new Date(until);
+    if (frequency === 'daily') {
+        start.setUTCDate(start.getUTCDate() - 1);
+    } else if (frequency === 'weekly') {
+        start.setUTCDate(start.getUTCDate() - 7);
+    } else {
+        start.setUTCMonth(start.getUTCMonth() - 1);
+    }
+
+    return { start, end: new Date(until) };
+}
+
+function filterEntries(entries, { start, end, topics = [], categories = [], topicMap = {} }) {
+    const wantedTerms = categories.map(normalizeTerm);
+
+    return entries
+        .filter(entry => entry.published >= start && entry.published < end)
+        .map(entry => ({ ...entry, topics: topicsFor(entry, topicMap) }))
+        .filter(entry => {
+            if (topics.length === 0 && wantedTerms.length === 0) return true;
+
+            return entry.topics.some(topic => topics.includes(topic)) ||
+                entry.terms.some(term => wantedTerms.includes(normalizeTerm(term)));
+        });
+}
+
+// Entries grouped under the first matching topic, in the form's order
+function groupByTopic(entries, topicMap, topics = []) {
+    const order = topics.length > 0 ? topics : Object.keys(topicMap);
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const topic = order.find(name => entry.topics.includes(name)) || 'other';
+        if (!groups.has(topic)) groups.set(topic, []);
+        groups.get(topic).push(entry);
+    });
+
+    return [...order, 'other']
+        .filter(topic => groups.has(topic))
+        .map(topic => ({ topic, entries: groups.get(topic) }));
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(date, locale) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+function renderText(digest) {
+    const labels = LABELS[digest.locale];
+    const lines = [
+        labels.title[digest.frequency],
+        labels.period.replace('{start}', formatDate(digest.start, digest.locale)).replace('{end}', formatDate(digest.end, digest.locale)),
+        ''
+    ];
+
+    digest.groups.forEach(({ topic, entries }) => {
+        const heading = digest.topicLabels[topic] || labels.other;
+        lines.push(heading, '='.repeat(heading.length), '');
+
+        entries.forEach(entry => {
+            lines.push(`* ${entry.title} (${formatDate(entry.published, digest.locale)})`);
+            if (entry.summary) lines.push(`  ${entry.summary}`);
+            if (entry.terms.length > 0) lines.push(`  ${labels.tags}: ${entry.terms.join(', ')}`);
+            lines.push(`  ${entry.link}`, '');
+        });
+    });
+
+    lines.push('--', `${labels.unsubscribe}: ${digest.preferencesUrl}`);
+    return `${lines.join('\n')}\n`;
+}
+
+// Inline styles only: most mail clients drop <style> blocks
+function renderHtml(digest) {
+    const labels = LABELS[digest.locale];
+    const title = labels.title[digest.frequency];
+    const period = labels.period
+        .replace('{start}', formatDate(digest.start, digest.locale))
+        .replace('{end}', formatDate(digest.end, digest.locale));
+
+    const sections = digest.groups.map(({ topic, entries }) => {
+        const items = entries.map(entry => `
+      <div style="margin: 0 0 20px;">
+        <a href="${escapeHtml(entry.link)}" style="color: #006600; font-size: 18px; font-weight: bold; text-decoration: none;">${escapeHtml(entry.title)}</a>
+        <div style="color: #666666; font-size: 13px;">${escapeHtml(formatDate(entry.published, digest.locale))}${entry.terms.length > 0 ? ` &middot; ${escapeHtml(entry.terms.join(', '))}` : ''}</div>
+        ${entry.summary ? `<p style="margin: 6px 0;">${escapeHtml(entry.summary)}</p>` : ''}
+        <a href="${escapeHtml(entry.link)}" style="color: #006600;">${escapeHtml(labels.readMore)} &rarr;</a>
+      </div>`).join('');
+
+        return `
+    <h2 style="border-bottom: 2px solid #006600; color: #003300; font-size: 20px; padding-bottom: 4px;">${escapeHtml(digest.topicLabels[topic] || labels.other)}</h2>${items}`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${digest.locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f4f4;">
+  <div style="max-width: 640px; margin: 0 auto; padding: 24px; background: #ffffff; color: #222222; font-family: Arial, Helvetica, sans-serif; line-height: 1.5;">
+    <h1 style="color: #003300; font-size: 26px; margin: 0;">${escapeHtml(title)}</h1>
+    <p style="color: #666666; margin: 4px 0 24px;">${escapeHtml(period)}</p>${sections}
+    <p style="border-top: 1px solid #dddddd; color: #666666; font-size: 12px; margin-top: 32px; padding-top: 12px;">
+      <a href="${escapeHtml(digest.preferencesUrl)}" style="color: #666666;">${escapeHtml(labels.unsubscribe)}</a>
+    </p>
+  </div>
+</body>
+</html>
+`;
+}
+
+function buildDigest(xml, options) {
+    const frequency = String(options.frequency).toLowerCase();
+    const locale = LABELS[options.locale] ? options.locale : 'fr';
+    const topicMap = options.topicMap || loadTopicMap();
+    const topics = options.topics || [];
+    const { start, end } = getWindow(frequency, options.until || new Date());
+
+    // The bare preferences page refuses every change: readers need their own manage link
+    if (!options.preferencesUrl) {
+        throw new Error('Missing --preferences-url (a manage link or a mail-merge placeholder for it)');
+    }
+    if (/^(https?:)?\//.test(options.preferencesUrl) && !/[#?&]token=/.test(options.preferencesUrl)) {
+        throw new Error(`--preferences-url has no manage token: ${options.preferencesUrl}`);
+    }
+
+    const entries = filterEntries(parseFeed(xml), {
+        start,
+        end,
+        topics,
+        categories: options.categories || [],
+        topicMap
+    });
+
+    return {
+        frequency,
+        locale,
+        start,
+        end,
+        entries,
+        groups: groupByTopic(entries, topicMap, topics),
+        topicLabels: Object.fromEntries(Object.entries(topicMap).map(([topic, { labels }]) => [topic, labels[locale]])),
+        preferencesUrl: options.preferencesUrl
+    };
+}
+
+function parseArgs(argv) {
+    const [frequency, outDir, ...rest] = argv;
+    const options = { frequency, outDir, format: 'both', locale: 'fr', feed: DEFAULT_FEED };
+    const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    for (let i = 0; i < rest.length; i += 2) {
+        const [flag, value] = [rest[i], rest[i + 1]];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+
+        if (flag === '--until') {
+            options.until = new Date(value);
+            if (Number.isNaN(options.until.getTime())) {
+                throw new Error(`Invalid date for --until: ${value}`);
+            }
+        } else if (flag === '--topics') {
+            options.topics = list(value);
+        } else if (flag === '--categories') {
+            options.categories = list(value);
+        } else if (flag === '--format') {
+            options.format = FORMATS[value] || value;
+        } else if (flag === '--locale') {
+            options.locale = value;
+        } else if (flag === '--feed') {
+            options.feed = value;
+        } else if (flag === '--preferences-url') {
+            options.preferencesUrl = value;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return options;
+}
+
+function main(argv) {
+    if (argv.length < 2) {
+        console.error('Usage:\n' +
+            '  node tools/newsletter-digest.js <daily|weekly|monthly> <output-dir> --preferences-url <url> [--until <date>] [--topics <a,b>]\n' +
+            '    [--categories <a,b>] [--format <"HTML (Rich formatting)"|"Plain text"|both>] [--locale <fr|en>] [--feed <path>]');
+        return 1;
+    }
+
+    const options = parseArgs(argv);
+    if (!['html', 'text', 'both'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}"`);
+    }
+
+    const digest = buildDigest(fs.readFileSync(options.feed, 'utf8'), options);
+    if (digest.entries.length === 0) {
+        console.log(`⚠️ No entries published between ${digest.start.toISOString()} and ${digest.end.toISOString()}, nothing written`);
+        return 0;
+    }
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+    const baseName = path.join(options.outDir, `${digest.frequency}-${digest.end.toISOString().slice(0, 10)}`);
+
+    if (options.format !== 'text') {
+        fs.writeFileSync(`${baseName}.html`, renderHtml(digest));
+        console.log(`✅ ${baseName}.html`);
+    }
+    if (options.format !== 'html') {
+        fs.writeFileSync(`${baseName}.txt`, renderText(digest));
+        console.log(`✅ ${baseName}.txt`);
+    }
+
+    console.log(`📰 ${digest.entries.length} entries in the ${digest.frequency} digest`);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    FREQUENCIES,
+    FORMATS,
+    parseFeed,
+    normalizeTerm,
+    loadTopicMap,
+    getWindow,
+    filterEntries,
+    groupByTopic,
+    buildDigest,
+    renderHtml,
+    renderText
+};
@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+/**
+ * Newsletter subscriber ledger
+ * Replays exported newsletter issues (oldest first) into one record per subscriber and
+ * writes it as CSV and JSON. Subscriptions, preference updates, unsubscribes and
+ * confirmations are applied in order; issues that cannot be read are reported, not guessed.
+ *
+ * Usage:
+ *   node tools/newsletter-ledger.js <issues.json> <output-dir> [--key <private-key.pem>] [--salt <hash-salt>]
+ *                                   [--difficulty <bits>] [--confirm-key <public-key>] [--tokens <issued.jsonl>]
+ *
+ * <issues.json> is an array of issues as returned by the GitHub REST API or
+ * `gh issue list --label automated --state all --json number,title,body,labels,createdAt,url`.
+ * --key opens encrypted submissions (see tools/newsletter-crypto.js); --salt is
+ * NEWSLETTER_CONFIG.email_hash_salt and is required once issues are matched by hash, --difficulty
+ * NEWSLETTER_CONFIG.pow_difficulty (default 16, as in NewsletterAntiBot).
+ * --confirm-key is the confirmation public key and --tokens the issued-token log written by
+ * "newsletter-token.js sign" and "manage"; without them confirmations, preference updates
+ * and unsubscribes cannot be verified and are reported as malformed.
+ *
+ * Writes <output-dir>/subscribers.csv and <output-dir>/subscribers.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadPrivateKey, decrypt, hashEmail } = require('./newsletter-crypto');
+const { readIssuedTokens, loadPublicKey, verify, proveToken } = require('./newsletter-token');
+
+const STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    UNSUBSCRIBED: 'unsubscribed'
+};
+
+// Section headings seen over time, in English and French; matched after normalizeText
+const HEADINGS = [
+    ['emailHash', /^(email hash|empreinte de l'?e-?mail)/],
+    ['format', /^(e-?mail format|format)/],
+    ['email', /^(email address|e-?mail|adresse (e-?mail|electronique))/],
+    ['requestType', /^(request type|type de (la )?demande)/],
+    ['frequency', /^(newsletter frequency|frequency|frequence)/],
+    ['topics', /^(topics|sujets)/],
+    ['encrypted', /^(encrypted payload|donnees chiffrees)/],
+    ['subscriptionId', /^(subscription id|identifiant d'?inscription)/],
+    ['consent', /^(consent|consentement)/],
+    ['additional', /^(additional information|informations complementaires)/]
+];
+
+const ACTIONS = [
+    ['confirm', /subscription confirmed|newsletter-confirmation|inscription confirmee/],
+    ['unsubscribe', /unsubscribe|newsletter-unsubscribe|desinscription/],
+    ['update', /preference update|newsletter-preferences|mise a jour des preferences/],
+    ['subscribe', /subscription request|newsletter-subscription|^subscription$|^inscription$/]
+];
+
+const FREQUENCIES = [
+    ['Weekly', /^(weekly|hebdomadaire)$/],
+    ['Monthly', /^(monthly|mensuelle)$/],
+    ['Major updates only', /^(major updates only|mises a jour importantes uniquement)$/]
+];
+
+// Form values and every label they were rendered with (js/newsletter-i18n.js catalogues)
+// Current labels come from js/newsletter-topics.json; these are the ones earlier issues used
+const TOPIC_ALIASES = {
+    development: ['Développement'],
+    portfolio: ['Portfolio']
+};
+const TOPICS = Object.fromEntries(
+    Object.entries(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'js', 'newsletter-topics.json'), 'utf8')))
+        .map(([topic, { labels }]) => [topic, [...Object.values(labels), ...(TOPIC_ALIASES[topic] || [])]])
+);
+
+const CSV_COLUMNS = [
+    'email', 'email_hash', 'status', 'frequency', 'topics', 'format', 'subscription_ids',
+    'subscribed_at', 'confirmed_at', 'updated_at', 'unsubscribed_at', 'issues'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// NewsletterAntiBot's default; the submitter's own claim in the proof is never trusted
+const POW_DIFFICULTY = 16;
+
+function normalizeText(value) {
+    return String(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[’`]/g, '\'')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function matchAlias(value, aliases) {
+    const normalized = normalizeText(value);
+    const match = aliases.find(([, pattern]) => pattern.test(normalized));
+    return match ? match[0] : null;
+}
+
+// Exports come from the REST API (snake_case, label objects) or gh (camelCase)
+function readIssues(json) {
+    const data = JSON.parse(json);
+    const issues = Array.isArray(data) ? data : data.issues || data.items;
+    if (!Array.isArray(issues)) {
+        throw new Error('Expected an array of issues');
+    }
+
+    return issues.map(issue => ({
+        number: issue.number,
+        title: issue.title || '',
+        body: issue.body || '',
+        labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+        createdAt: issue.created_at || issue.createdAt || null,
+        url: issue.html_url || issue.url || null
+    }));
+}
+
+function parseSections(body) {
+    const sections = {};
+    const parts = body.replace(/\r\n/g, '\n').split(/^#{2,4}[ \t]+(.+)$/m);
+
+    for (let i = 1; i < parts.length; i += 2) {
+        const field = matchAlias(parts[i].replace(/\(.*?\)/g, ''), HEADINGS);
+        if (field && !(field in sections)) {
+            sections[field] = parts[i + 1].trim();
+        }
+    }
+
+    return sections;
+}
+
+// First line of a section; later lines may be notes that drifted under the heading
+function cleanValue(value) {
+    const line = String(value || '').split('\n').map(part => part.trim()).find(part => part && !part.startsWith('```'));
+
+    return (line || '')
+        .replace(/^mailto:/i, '')
+        .replace(/^[<`*_]+|[>`*_]+$/g, '')
+        .trim();
+}
+
+// Early issues joined the checklist with a literal "\n"
+function parseTopics(value) {
+    const labels = new Map();
+    Object.entries(TOPICS).forEach(([topic, names]) => {
+        [topic, ...names].forEach(name => labels.set(normalizeText(name), topic));
+    });
+
+    const topics = [];
+    const unknown = [];
+    String(value || '').split(/\\n|\n/).forEach(line => {
+        const match = line.match(/^\s*[-*]\s*\[[xX]\]\s*(.+)$/);
+        if (!match) return;
+
+        const topic = labels.get(normalizeText(match[1]));
+        if (topic) {
+            topics.push(topic);
+        } else {
+            unknown.push(match[1].trim());
+        }
+    });
+
+    return { topics: [...new Set(topics)], unknown };
+}
+
+function detectAction(issue, sections) {
+    const labelAction = issue.labels.map(label => matchAlias(label, ACTIONS)).find(Boolean);
+    const titleAction = matchAlias(issue.title.replace(/^\[newsletter\]\s*/i, '').split(' - ')[0], ACTIONS);
+    const sectionAction = sections.requestType ? matchAlias(sections.requestType, ACTIONS) : null;
+
+    return labelAction || titleAction || sectionAction || 'subscribe';
+}
+
+// "difficulty:challenge:nonce", see NewsletterAntiBot in js/newsletter-antibot.js
+function verifyProofOfWork(proof, email, difficulty = POW_DIFFICULTY) {
+    const [, challenge, nonce] = String(proof).split(':');
+    const digest = crypto.createHash('sha256').update(`${challenge}:${email}:${nonce}`).digest();
+
+    let bits = 0;
+    for (const byte of digest) {
+        bits += byte === 0 ? 8 : Math.clz32(byte) - 24;
+        if (byte !== 0) break;
+    }
+
+    return Boolean(challenge) && nonce !== undefined && bits >= difficulty;
+}
+
+// Subscription IDs are public in the subscription issues: only a token signed for that ID counts
+function verifySignedToken(token, subscriptionId, purpose, createdAt, confirmationKey) {
+    if (!confirmationKey) {
+        throw new Error('token cannot be verified (no --confirm-key given)');
+    }
+
+    let payload;
+    try {
+        // Expiry is checked against the time the link was used, not the time of the export
+        payload = verify(confirmationKey, token, Date.parse(createdAt) || Date.now(), purpose);
+    } catch (error) {
+        throw new Error(`invalid ${purpose} token (${error.message})`);
+    }
+
+    if (payload.sid !== subscriptionId) {
+        throw new Error(`${purpose} token was issued for subscription ${payload.sid}`);
+    }
+}
+
+// "Token-proof:" closes the body it signs, see NewsletterSubscriptionLifecycle.signBody
+function verifyTokenProof(issue, action, purpose, subscriptionId, options) {
+    const body = issue.body.replace(/\r\n/g, '\n');
+    const proof = body.match(/^Token-proof:[ \t]*(\S+)[ \t]*$/m);
+    if (!proof) {
+        throw new Error(`no token proof in ${action} issue`);
+    }
+    if (!options.issuedTokens) {
+        throw new Error('token proof cannot be verified (no --tokens given)');
+    }
+
+    const signedBody = body.slice(0, proof.index);
+    const issued = options.issuedTokens.find(record => record.sid === subscriptionId &&
+        record.purpose === purpose &&
+        proveToken(record.token, action, signedBody) === proof[1]);
+    if (!issued) {
+        throw new Error(`token proof matches no ${purpose} token issued for subscription ${subscriptionId}`);
+    }
+
+    verifySignedToken(issued.token, subscriptionId, purpose, issue.createdAt, options.confirmationKey);
+}
+
+function parseIssue(issue, options = {}) {
+    const sections = parseSections(issue.body);
+    const action = detectAction(issue, sections);
+    const difficulty = options.difficulty ?? POW_DIFFICULTY;
+    const proof = issue.body.match(/^Proof-of-work:\s*(\S+)/m);
+    const warnings = [];
+    const entry = {
+        number: issue.number,
+        action,
+        createdAt: issue.createdAt,
+        subscriptionId: cleanValue(sections.subscriptionId) || null,
+        email: null,
+        emailHash: cleanValue(sections.emailHash).toLowerCase() || null,
+        frequency: null,
+        topics: [],
+        format: cleanValue(sections.format) || null
+    };
+
+    if (action === 'confirm') {
+        entry.subscriptionId = entry.subscriptionId || issue.title.split(' - ').pop().trim();
+        if (!entry.subscriptionId) {
+            throw new Error('confirmation without subscription ID');
+        }
+        verifyTokenProof(issue, action, 'confirm', entry.subscriptionId, options);
+        return { entry, warnings };
+    }
+
+    // Subscriptions and preference updates are only accepted with the browser's proof of work
+    if (!proof && difficulty > 0 && action !== 'unsubscribe') {
+        throw new Error('missing proof of work');
+    }
+
+    // Anyone can type an address on the preferences page: changes need the newsletter's manage link
+    if (action === 'update' || action === 'unsubscribe') {
+        if (!entry.subscriptionId) {
+            throw new Error(`${action} without subscription ID`);
+        }
+        verifyTokenProof(issue, action, 'manage', entry.subscriptionId, options);
+    }
+
+    let fields = sections;
+    if (sections.encrypted) {
+        if (!options.privateKey) {
+            if (!entry.emailHash) {
+                throw new Error('encrypted submission without email hash (no --key given)');
+            }
+            warnings.push('encrypted submission kept by email hash only (no --key given)');
+            return { entry, warnings };
+        }
+
+        try {
+            const payload = decrypt(options.privateKey, (sections.encrypted.match(/[A-Za-z0-9_-]{40,}/) || [''])[0]);
+            fields = { ...sections, email: payload.email, frequency: payload.frequency, format: payload.format };
+            entry.topics = payload.topics || [];
+        } catch (error) {
+            throw new Error(`cannot decrypt payload (${error.message})`);
+        }
+    } else {
+        const { topics, unknown } = parseTopics(sections.topics);
+        entry.topics = topics;
+        if (unknown.length > 0) {
+            warnings.push(`unknown topics ignored: ${unknown.join(', ')}`);
+        }
+    }
+
+    const email = cleanValue(fields.email).toLowerCase();
+    if (email) {
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new Error(`invalid email address "${email}"`);
+        }
+        entry.email = email;
+    } else if (!entry.emailHash) {
+        throw new Error('no email address or email hash section');
+    }
+
+    entry.format = cleanValue(fields.format) || entry.format;
+    if (fields.frequency) {
+        entry.frequency = matchAlias(cleanValue(fields.frequency), FREQUENCIES);
+        if (!entry.frequency) {
+            warnings.push(`unknown frequency "${cleanValue(fields.frequency)}"`);
+        }
+    } else if (action === 'subscribe') {
+        warnings.push('subscription without frequency');
+    }
+
+    if (proof && entry.email && difficulty > 0 && !verifyProofOfWork(proof[1], entry.email, difficulty)) {
+        throw new Error(`proof of work does not match the address or is below ${difficulty} bits`);
+    }
+
+    return { entry, warnings };
+}
+
+function buildLedger(issues, options = {}) {
+    const malformed = [];
+    const warnings = [];
+    const entries = [];
+
+    issues.forEach(issue => {
+        try {
+            const parsed = parseIssue(issue, options);
+            entries.push(parsed.entry);
+            parsed.warnings.forEach(message => warnings.push({ number: issue.number, message }));
+        } catch (error) {
+            malformed.push({ number: issue.number, title: issue.title, url: issue.url, reason: error.message });
+        }
+    });
+
+    entries.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || a.number - b.number);
+
+    // Hash-only entries (encrypted, no key) can only be matched through the email hash
+    const byHash = entries.some(entry => !entry.email && entry.emailHash);
+    if (byHash) {
+        if (!options.salt) {
+            throw new Error('Some submissions can only be matched by email hash: pass --salt (or --key)');
+        }
+        entries.forEach(entry => {
+            if (entry.email && !entry.emailHash) {
+                entry.emailHash = hashEmail(entry.email, options.salt);
+            }
+        });
+    }
+    const keyOf = (entry) => (byHash ? entry.emailHash : entry.email) || entry.email;
+
+    const subscribers = new Map();
+    const bySubscriptionId = new Map();
+
+    entries.forEach(entry => {
+        if (entry.action === 'confirm') {
+            const subscriber = bySubscriptionId.get(entry.subscriptionId);
+            if (!subscriber) {
+                warnings.push({ number: entry.number, message: `confirmation for unknown subscription ${entry.subscriptionId}` });
+            } else if (subscriber.status === STATUS.PENDING) {
+                subscriber.status = STATUS.CONFIRMED;
+                subscriber.confirmedAt = entry.createdAt;
+                subscriber.issues.push(entry.number);
+            }
+            return;
+        }
+
+        const key = keyOf(entry);
+        let subscriber = subscribers.get(key);
+
+        // A manage token only speaks for the subscriber its subscription ID belongs to
+        if (entry.action !== 'subscribe' && (!subscriber || bySubscriptionId.get(entry.subscriptionId) !== subscriber)) {
+            warnings.push({
+                number: entry.number,
+                message: `${entry.action} ignored: subscription ${entry.subscriptionId} does not belong to ${entry.email || entry.emailHash}`
+            });
+            return;
+        }
+
+        if (!subscriber) {
+            subscriber = {
+                email: entry.email,
+                emailHash: entry.emailHash,
+                status: STATUS.PENDING,
+                frequency: null,
+                topics: [],
+                format: null,
+                subscriptionIds: [],
+                subscribedAt: null,
+                confirmedAt: null,
+                updatedAt: null,
+                unsubscribedAt: null,
+                issues: []
+            };
+            subscribers.set(key, subscriber);
+        } else if (entry.action === 'subscribe' && subscriber.status !== STATUS.UNSUBSCRIBED) {
+            warnings.push({ number: entry.number, message: `duplicate subscription for ${entry.email || entry.emailHash}` });
+        }
+
+        subscriber.email = subscriber.email || entry.email;
+        subscriber.issues.push(entry.number);
+
+        if (entry.action === 'unsubscribe') {
+            subscriber.status = STATUS.UNSUBSCRIBED;
+            subscriber.unsubscribedAt = entry.createdAt;
+            return;
+        }
+
+        if (entry.action === 'subscribe') {
+            if (subscriber.status === STATUS.UNSUBSCRIBED || !subscriber.subscribedAt) {
+                subscriber.status = STATUS.PENDING;
+                subscriber.subscribedAt = entry.createdAt;
+                subscriber.confirmedAt = null;
+                subscriber.unsubscribedAt = null;
+            }
+            if (entry.subscriptionId) {
+                subscriber.subscriptionIds.push(entry.subscriptionId);
+                bySubscriptionId.set(entry.subscriptionId, subscriber);
+            }
+        } else if (subscriber.status === STATUS.UNSUBSCRIBED) {
+            // Only a new subscription brings an unsubscribed address back
+            warnings.push({ number: entry.number, message: `preference update ignored for unsubscribed ${entry.email || entry.emailHash}` });
+            return;
+        } else {
+            subscriber.updatedAt = entry.createdAt;
+        }
+
+        subscriber.frequency = entry.frequency || subscriber.frequency;
+        subscriber.topics = entry.topics;
+        subscriber.format = entry.format || subscriber.format;
+    });
+
+    const list = Array.from(subscribers.values()).sort((a, b) =>
+        String(a.email || a.emailHash).localeCompare(String(b.email || b.emailHash)));
+
+    const counts = { total: list.length, malformed: malformed.length };
+    Object.values(STATUS).forEach(status => {
+        counts[status] = list.filter(subscriber => subscriber.status === status).length;
+    });
+
+    return { counts, subscribers: list, malformed, warnings };
+}
+
+// Lists are joined with ";" inside a single column
+function csvValue(value) {
+    const text = Array.isArray(value) ? value.join(';') : value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(subscribers) {
+    const rows = subscribers.map(subscriber => [
+        subscriber.email,
+        subscriber.emailHash,
+        subscriber.status,
+        subscriber.frequency,
+        subscriber.topics,
+        subscriber.format,
+        subscriber.subscriptionIds,
+        subscriber.subscribedAt,
+        subscriber.confirmedAt,
+        subscriber.updatedAt,
+        subscriber.unsubscribedAt,
+        subscriber.issues
+    ].map(csvValue).join(','));
+
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+function parseArgs(argv) {
+    const [input, outDir, ...rest] = argv;
+    const options = { input, outDir };
+
+    for (let i = 0; i < rest.length; i += 2) {
+        const [flag, value] = [rest[i], rest[i + 1]];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+
+        if (flag === '--key') {
+            options.keyPath = value;
+        } else if (flag === '--salt') {
+            options.salt = value;
+        } else if (flag === '--difficulty') {
+            options.difficulty = Number(value);
+            if (!Number.isInteger(options.difficulty) || options.difficulty < 0) {
+                throw new Error(`Invalid --difficulty: ${value}`);
+            }
+        } else if (flag === '--confirm-key') {
+            options.confirmKeyPath = value;
+        } else if (flag === '--tokens') {
+            options.tokensPath = value;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return options;
+}
+
+function main(argv) {
+    if (argv.length < 2) {
+        console.error('Usage:\n' +
+            '  node tools/newsletter-ledger.js <issues.json> <output-dir> [--key <private-key.pem>] [--salt <hash-salt>]\n' +
+            '                                  [--difficulty <bits>] [--confirm-key <public-key>] [--tokens <issued.jsonl>]');
+        return 1;
+    }
+
+    const options = parseArgs(argv);
+    const ledger = buildLedger(readIssues(fs.readFileSync(options.input, 'utf8')), {
+        privateKey: options.keyPath ? loadPrivateKey(options.keyPath) : null,
+        salt: options.salt,
+        difficulty: options.difficulty,
+        confirmationKey: options.confirmKeyPath ? loadPublicKey(options.confirmKeyPath) : null,
+        issuedTokens: options.tokensPath ? readIssuedTokens(options.tokensPath) : null
+    });
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+    fs.writeFileSync(path.join(options.outDir, 'subscribers.csv'), toCsv(ledger.subscribers));
+    fs.writeFileSync(path.join(options.outDir, 'subscribers.json'), `${JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        source: path.basename(options.input),
+        ...ledger
+    }, null, 2)}\n`);
+
+    const { counts } = ledger;
+    console.log(`✅ ${counts.total} subscribers (${counts.confirmed} confirmed, ${counts.pending} pending, ${counts.unsubscribed} unsubscribed)`);
+    ledger.warnings.forEach(({ number, message }) => console.warn(`⚠️ #${number}: ${message}`));
+    ledger.malformed.forEach(({ number, reason }) => console.warn(`❌ #${number}: ${reason}`));
+
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { STATUS, POW_DIFFICULTY, readIssues, parseSections, parseTopics, parseIssue, verifyProofOfWork, buildLedger, toCsv };
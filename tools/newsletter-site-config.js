@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Newsletter site configuration
+ * Reads and fills in js/newsletter-config.js, the window.NEWSLETTER_CONFIG script loaded
+ * before js/newsletter.js.
+ *
+ * Usage:
+ *   node tools/newsletter-site-config.js --check   Exit with 1 while a required value is missing
+ *
+ * The keygen commands of tools/newsletter-token.js and tools/newsletter-crypto.js write their
+ * public keys here when given --config js/newsletter-config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'js', 'newsletter-config.js');
+
+// Without these nothing can be submitted, nor any confirmation or manage link verified
+const REQUIRED = {
+    github_owner: 'edit js/newsletter-config.js',
+    github_repo: 'edit js/newsletter-config.js',
+    confirmation_public_key: 'node tools/newsletter-token.js keygen <private-key.pem> --config js/newsletter-config.js'
+};
+
+function readSiteConfig(configPath = CONFIG_PATH) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(configPath, 'utf8'), sandbox, { filename: configPath });
+    return sandbox.window.NEWSLETTER_CONFIG || {};
+}
+
+function findEntry(source, name, configPath) {
+    const line = new RegExp(`^(\\s*${name}:\\s*)(.*?),?\\s*$`, 'm');
+    const match = source.match(line);
+
+    if (!match) {
+        throw new Error(`${configPath} has no ${name} entry`);
+    }
+    // A value already set is a key rotation, which stays a manual edit
+    if (match[2] !== 'null') {
+        throw new Error(`${name} is already set in ${configPath}: replace it by hand to rotate it`);
+    }
+    return line;
+}
+
+// Called before generating a key, so a refused write does not leave an unused key pair behind
+function assertSiteConfigUnset(name, configPath = CONFIG_PATH) {
+    findEntry(fs.readFileSync(configPath, 'utf8'), name, configPath);
+}
+
+// Replaces the "name: null," line
+function setSiteConfigValue(name, value, configPath = CONFIG_PATH) {
+    const source = fs.readFileSync(configPath, 'utf8');
+    const line = findEntry(source, name, configPath);
+    fs.writeFileSync(configPath, source.replace(line, `$1${JSON.stringify(value)},`));
+}
+
+function missingValues(config) {
+    return Object.keys(REQUIRED).filter(name => !config[name]);
+}
+
+function main(argv) {
+    if (argv[0] !== '--check') {
+        console.error('Usage: node tools/newsletter-site-config.js --check');
+        return 1;
+    }
+
+    const missing = missingValues(readSiteConfig());
+    if (missing.length > 0) {
+        missing.forEach(name => console.error(`❌ js/newsletter-config.js: ${name} is missing (${REQUIRED[name]})`));
+        return 1;
+    }
+
+    console.log('✅ js/newsletter-config.js is complete');
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { CONFIG_PATH, readSiteConfig, assertSiteConfigUnset, setSiteConfigValue, missingValues };
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Newsletter confirmation and manage tokens
+ * Generates the ES256 key pair and signs the double opt-in links and the preferences links
+ * put in each newsletter, verified by js/newsletter.js and tools/newsletter-ledger.js
+ *
+ * Usage:
+ *   node tools/newsletter-token.js keygen <private-key.pem> [--config js/newsletter-config.js]
+ *   node tools/newsletter-token.js sign <private-key.pem> <subscription-id> [ttl-hours] [base-url]
+ *   node tools/newsletter-token.js manage <private-key.pem> <subscription-id> [ttl-hours] [base-url]
+ *   node tools/newsletter-token.js verify <public-key> <token> [confirm|manage]
+ *
+ * <public-key> is the JWK printed by "keygen" (saved as JSON) or a PEM public or private key.
+ * The public JWK printed by "keygen" goes into window.NEWSLETTER_CONFIG.confirmation_public_key;
+ * --config writes it there directly (see tools/newsletter-site-config.js).
+ * "sign" and "manage" also append each token to <private-key.pem>.issued.jsonl: issues only carry a
+ * Token-proof line, and tools/newsletter-ledger.js --tokens needs the tokens to check it.
+ * Keep the private key and the issued tokens out of this repository.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { assertSiteConfigUnset, setSiteConfigValue } = require('./newsletter-site-config');
+
+const DEFAULT_TTL_HOURS = 72;
+// Manage links go out with every issue, so they outlive a couple of monthly newsletters
+const DEFAULT_MANAGE_TTL_HOURS = 60 * 24;
+const DEFAULT_BASE_URL = 'https://arbinger.is-a.dev';
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function keygen(privateKeyPath) {
+    if (fs.existsSync(privateKeyPath)) {
+        throw new Error(`Refusing to overwrite existing key: ${privateKeyPath}`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+    return { kty, crv, x, y };
+}
+
+function issuedLogPath(privateKeyPath) {
+    return `${privateKeyPath}.issued.jsonl`;
+}
+
+function sign(privateKeyPath, subscriptionId, ttlHours = DEFAULT_TTL_HOURS, purpose = 'confirm') {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.round(ttlHours * 3600);
+
+    const header = base64url(JSON.stringify({ alg: 'ES256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sid: subscriptionId,
+        purpose,
+        iat: now,
+        exp
+    }));
+
+    // WebCrypto expects the raw r||s signature, not DER
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    const token = `${header}.${payload}.${base64url(signature)}`;
+    fs.appendFileSync(issuedLogPath(privateKeyPath), `${JSON.stringify({ sid: subscriptionId, purpose, exp, token })}\n`, { mode: 0o600 });
+
+    return token;
+}
+
+function readIssuedTokens(logPath) {
+    return fs.readFileSync(logPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+// The JWK published in NEWSLETTER_CONFIG, or any PEM the key can be derived from
+function loadPublicKey(publicKeyPath) {
+    const content = fs.readFileSync(publicKeyPath, 'utf8');
+    return content.trim().startsWith('{')
+        ? crypto.createPublicKey({ key: JSON.parse(content), format: 'jwk' })
+        : crypto.createPublicKey(content);
+}
+
+function decodePart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// Same checks as NewsletterSubscriptionLifecycle.verifyToken; `now` lets callers check expiry at another time
+function verify(publicKey, token, now = Date.now(), purpose = 'confirm') {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new Error('malformed token');
+    }
+
+    let header;
+    let payload;
+    try {
+        header = decodePart(parts[0]);
+        payload = decodePart(parts[1]);
+    } catch (error) {
+        throw new Error('malformed token');
+    }
+
+    if (header.alg !== 'ES256' || payload.purpose !== purpose || !payload.sid || typeof payload.exp !== 'number') {
+        throw new Error('malformed token');
+    }
+
+    const valid = crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), {
+        key: publicKey,
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(parts[2], 'base64url'));
+
+    if (!valid) {
+        throw new Error('invalid signature');
+    }
+    if (payload.exp * 1000 < now) {
+        throw new Error('expired');
+    }
+
+    return payload;
+}
+
+// Same as NewsletterSubscriptionLifecycle.normalizeBody
+function normalizeBody(body) {
+    return String(body).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+}
+
+// The "Token-proof:" value NewsletterSubscriptionLifecycle.signBody appends to an issue body
+function proveToken(token, action, body) {
+    return crypto.createHmac('sha256', token).update(`${action}\n${normalizeBody(body)}`).digest('base64url');
+}
+
+function main(argv) {
+    const [command, keyPath, ...rest] = argv;
+
+    if (command === 'keygen' && keyPath) {
+        const configPath = rest[0] === '--config' ? rest[1] : null;
+        if (configPath) {
+            assertSiteConfigUnset('confirmation_public_key', configPath);
+        }
+        const publicKey = keygen(keyPath);
+        if (configPath) {
+            setSiteConfigValue('confirmation_public_key', publicKey, configPath);
+        }
+        console.log(JSON.stringify(publicKey, null, 2));
+        return 0;
+    }
+
+    if (command === 'sign' && keyPath && rest[0]) {
+        const [subscriptionId, ttlHours, baseUrl = DEFAULT_BASE_URL] = rest;
+        const token = sign(keyPath, subscriptionId, ttlHours ? Number(ttlHours) : DEFAULT_TTL_HOURS);
+        // Fragment rather than query string: the token never reaches the web server logs
+        console.log(`${baseUrl.replace(/\/$/, '')}/newsletter-confirm.html#token=${token}`);
+        return 0;
+    }
+
+    if (command === 'manage' && keyPath && rest[0]) {
+        const [subscriptionId, ttlHours, baseUrl = DEFAULT_BASE_URL] = rest;
+        const token = sign(keyPath, subscriptionId, ttlHours ? Number(ttlHours) : DEFAULT_MANAGE_TTL_HOURS, 'manage');
+        console.log(`${baseUrl.replace(/\/$/, '')}/newsletter-preferences.html#token=${token}`);
+        return 0;
+    }
+
+    if (command === 'verify' && keyPath && rest[0]) {
+        const [token, purpose = 'confirm'] = rest;
+        console.log(JSON.stringify(verify(loadPublicKey(keyPath), token, Date.now(), purpose), null, 2));
+        return 0;
+    }
+
+    console.error('Usage:\n' +
+        '  node tools/newsletter-token.js keygen <private-key.pem> [--config js/newsletter-config.js]\n' +
+        '  node tools/newsletter-token.js sign <private-key.pem> <subscription-id> [ttl-hours] [base-url]\n' +
+        '  node tools/newsletter-token.js manage <private-key.pem> <subscription-id> [ttl-hours] [base-url]\n' +
+        '  node tools/newsletter-token.js verify <public-key> <token> [confirm|manage]');
+    return 1;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { keygen, sign, readIssuedTokens, loadPublicKey, verify, proveToken };